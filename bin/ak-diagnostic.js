@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * ak-diagnostic CLI
+ * Profiles an arbitrary Node.js command without editing it:
+ *   ak-diagnostic run [options] -- node app.js
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { formatReport } = require('../index.js');
+
+/** @type {string[]} Signals relayed to the child so it can shut down on its own terms */
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+/** @type {string[]} Report formats that can be written next to the JSON report, one option each */
+const REPORT_FILES = ['text', 'html', 'markdown'];
+
+/** @type {number} Exit code when the CLI itself fails (bad usage, command not found) */
+const EXIT_FAILURE = 1;
+
+const USAGE = `Usage: ak-diagnostic run [options] -- <command> [args...]
+
+Runs <command> with a Diagnostics session preloaded into its Node.js process and
+writes the final report as JSON when it exits. The exit code and terminating
+signal of <command> are passed through.
+
+Options:
+  --name <name>          Session name (default: the script name)
+  --interval <ms>        Sampling interval in milliseconds (default: 5000)
+  --threshold <bytes>    Memory threshold in bytes for alerts
+  --target <bytes>       Target memory consumption in bytes
+  --output <path>        Report JSON path (default: ./diagnostics-<timestamp>.json)
+  --text <path>          Also write a plain text report to <path>
+  --html <path>          Also write a self-contained HTML report to <path>
+  --markdown <path>      Also write a Markdown report to <path> (e.g. $GITHUB_STEP_SUMMARY)
+  -h, --help             Show this help
+
+Only the first Node.js process of <command> is profiled. Launchers written in
+Node.js, such as npm, npx or yarn, are that first process themselves, so
+\`ak-diagnostic run -- npm start\` profiles npm rather than your application:
+run the script with node directly.
+
+Example:
+  ak-diagnostic run --interval 1000 --output report.json -- node server.js`;
+
+/** @type {Object<string, string>} Flags taking a value, mapped to their option key */
+const VALUE_FLAGS = {
+  '--name': 'name',
+  '--interval': 'interval',
+  '--threshold': 'threshold',
+  '--target': 'target',
+  '--output': 'output',
+  '--text': 'text',
+  '--html': 'html',
+  '--markdown': 'markdown'
+};
+
+/** @type {string[]} Options that must be numeric */
+const NUMERIC_OPTIONS = ['interval', 'threshold', 'target'];
+
+/**
+ * Parses the arguments following `run`
+ * @param {string[]} args - Arguments after the subcommand
+ * @returns {{options: Object<string, string>, command: string[], help: boolean}} Parsed arguments
+ */
+function parseArgs(args) {
+  const options = {};
+  let help = false;
+  let i = 0;
+
+  for (; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      i++;
+      break;
+    }
+    if (arg === '-h' || arg === '--help') {
+      help = true;
+      continue;
+    }
+
+    const [flag, inline] = arg.split(/=(.*)/s);
+    const key = VALUE_FLAGS[flag];
+    if (!key) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+    const value = inline !== undefined ? inline : args[++i];
+    if (value === undefined) {
+      throw new Error(`Option ${flag} requires a value`);
+    }
+    if (NUMERIC_OPTIONS.includes(key) && !Number.isFinite(Number(value))) {
+      throw new Error(`Option ${flag} must be a number, got "${value}"`);
+    }
+    options[key] = value;
+  }
+
+  return { options, command: args.slice(i), help };
+}
+
+/**
+ * Runs the profiled command and resolves with how it ended
+ * @param {string[]} command - Command and arguments
+ * @param {Object<string, string>} options - Parsed CLI options
+ * @returns {Promise<{code: number|null, signal: string|null}>} Exit code or terminating signal
+ */
+function runChild(command, options) {
+  const preload = path.join(__dirname, '..', 'register.js');
+  const env = { ...process.env };
+  env.NODE_OPTIONS = `${env.NODE_OPTIONS || ''} --require ${JSON.stringify(preload)}`.trim();
+  env.AK_DIAGNOSTIC_OUTPUT = options.output;
+  env.AK_DIAGNOSTIC_FORMAT = 'json';
+  delete env.AK_DIAGNOSTIC_CLAIMED;
+  for (const key of ['name', 'interval', 'threshold', 'target']) {
+    if (options[key] !== undefined) {
+      env[`AK_DIAGNOSTIC_${key.toUpperCase()}`] = options[key];
+    } else {
+      delete env[`AK_DIAGNOSTIC_${key.toUpperCase()}`];
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command[0], command.slice(1), { stdio: 'inherit', env });
+    const relays = FORWARDED_SIGNALS.map(signal => {
+      const relay = () => child.kill(signal);
+      process.on(signal, relay);
+      return () => process.removeListener(signal, relay);
+    });
+    const cleanup = () => relays.forEach(remove => remove());
+
+    child.on('error', error => {
+      cleanup();
+      reject(error);
+    });
+    child.on('exit', (code, signal) => {
+      cleanup();
+      resolve({ code, signal });
+    });
+  });
+}
+
+/**
+ * CLI entry point
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+  const [subcommand, ...rest] = argv;
+  if (!subcommand || subcommand === '-h' || subcommand === '--help') {
+    console.log(USAGE);
+    return;
+  }
+  if (subcommand !== 'run') {
+    throw new Error(`Unknown command: ${subcommand}`);
+  }
+
+  const { options, command, help } = parseArgs(rest);
+  if (help) {
+    console.log(USAGE);
+    return;
+  }
+  if (command.length === 0) {
+    throw new Error('Missing command to run after "--"');
+  }
+  options.output = path.resolve(options.output || `diagnostics-${Date.now()}.json`);
+  // A report left over from an earlier run must not pass for this one
+  await fs.promises.unlink(options.output).catch(() => {});
+
+  const { code, signal } = await runChild(command, options);
+
+  try {
+    const report = JSON.parse(await fs.promises.readFile(options.output, 'utf8'));
+    for (const format of REPORT_FILES) {
+      if (options[format]) {
+        await fs.promises.writeFile(
+          path.resolve(options[format]),
+          formatReport(report, { format, plain: true })
+        );
+      }
+    }
+    console.error(`ak-diagnostic: report written to ${options.output}`);
+  } catch (error) {
+    console.error(`ak-diagnostic: no report was written (${error.message})`);
+  }
+
+  if (signal) {
+    // Die by the same signal so callers see exactly what the child did
+    process.kill(process.pid, signal);
+  } else {
+    process.exitCode = code === null ? EXIT_FAILURE : code;
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(`ak-diagnostic: ${error.message}`);
+  if (error.code !== 'ENOENT') {
+    console.error(`\n${USAGE}`);
+  }
+  process.exitCode = EXIT_FAILURE;
+});
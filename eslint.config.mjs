@@ -82,6 +82,18 @@ export default [
       'no-magic-numbers': 'off' // Tests often use magic numbers
     }
   },
+  {
+    files: ['index.js'],
+    rules: {
+      'no-sync': 'off' // flushOnExit writes the report from exit and crash handlers, which can't wait
+    }
+  },
+  {
+    files: ['bin/**/*.js'],
+    rules: {
+      'no-process-exit': 'off' // The CLI forwards the exit status of the command it runs
+    }
+  },
   {
     files: ['examples/**/*.js'],
     rules: {
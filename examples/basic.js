@@ -2,7 +2,7 @@
  * Basic example of using ak-diagnostic
  */
 
-const { Diagnostics } = require('../index.js');
+const { Diagnostics, formatReport } = require('../index.js');
 
 // Create diagnostics instance
 const diagnostics = new Diagnostics({
@@ -57,39 +57,7 @@ const interval = setInterval(() => {
 
     const report = diagnostics.report();
 
-    // Display summary
-    console.log('📊 SUMMARY:');
-    console.log(`  Duration: ${report.summary.duration}`);
-    console.log(`  Peak Memory: ${report.summary.peakMemory}`);
-    console.log(`  Average Memory: ${report.summary.averageMemory}`);
-    console.log(`  Peak CPU: ${report.summary.peakCPU}`);
-    console.log(`  Average CPU: ${report.summary.averageCPU}`);
-    console.log(`  Total Samples: ${report.summary.samples}`);
-    console.log(`  Alerts Triggered: ${report.summary.alerts}`);
-
-    console.log('\n💾 MEMORY DETAILS:');
-    console.log(`  Peak: ${report.memory.peak.human}`);
-    console.log(`  Average: ${report.memory.average.human}`);
-    console.log(`  Low: ${report.memory.low.human}`);
-
-    console.log('\n🖥️  CPU DETAILS:');
-    console.log(`  Peak: ${report.cpu.peak.human}`);
-    console.log(`  Average: ${report.cpu.average.human}`);
-    console.log(`  Low: ${report.cpu.low.human}`);
-
-    console.log('\n⏱️  EVENT LOOP LAG:');
-    console.log(`  Average: ${report.eventLoop.lag.average.human}`);
-    console.log(`  Max: ${report.eventLoop.lag.max.human}`);
-
-    console.log('\n📈 ANALYSIS:');
-    console.log(`  Sampling Interval: ${report.analysis.samplingInterval}ms`);
-    console.log(`  Time Over Target: ${report.analysis.timeOverTargetHuman}`);
-    console.log(`  Time Under Target: ${report.analysis.timeUnderTargetHuman}`);
-
-    if (report.analysis.target) {
-      const percentOverTarget = (report.analysis.timeOverTarget / report.clock.duration) * 100;
-      console.log(`  Percentage Over Target: ${percentOverTarget.toFixed(2)}%`);
-    }
+    console.log(formatReport(report));
 
     console.log('\n💻 SYSTEM INFO:');
     console.log(`  Platform: ${report.infos.platform}`);
@@ -25,6 +25,7 @@ console.log('🚀 Starting stress test...');
 console.log('This will simulate memory leaks and CPU spikes.\n');
 
 diagnostics.start();
+diagnostics.mark('memory-leak');
 
 let leakedData = [];
 let phase = 1;
@@ -49,6 +50,7 @@ const memoryLeakInterval = setInterval(() => {
 function phase2() {
   console.log('\n📊 Phase 2: CPU Intensive Operations');
   phase = 2;
+  diagnostics.mark('cpu-intensive');
   console.log(`Phase ${phase} starting...`);
   startTime = Date.now();
 
@@ -70,6 +72,7 @@ function phase2() {
 function phase3() {
   console.log('\n📊 Phase 3: Event Loop Blocking');
   phase = 3;
+  diagnostics.mark('event-loop-blocking');
   console.log(`Phase ${phase} starting...`);
   startTime = Date.now();
 
@@ -93,6 +96,7 @@ function phase3() {
 function phase4() {
   console.log('\n📊 Phase 4: Mixed Load (Memory + CPU)');
   phase = 4;
+  diagnostics.mark('mixed-load');
   console.log(`Phase ${phase} starting...`);
   startTime = Date.now();
 
@@ -157,6 +161,15 @@ function complete() {
   console.log('├─ Maximum Lag:', report.eventLoop.lag.max.ms.toFixed(2) + 'ms');
   console.log('└─ Minimum Lag:', report.eventLoop.lag.min.ms.toFixed(2) + 'ms');
 
+  console.log('\n🧩 PHASE BREAKDOWN:');
+  report.phases.forEach((p, i) => {
+    const prefix = i === report.phases.length - 1 ? '└─' : '├─';
+    console.log(
+      `${prefix} ${p.name}: ${p.duration.human}, heap ${p.memory.delta.human} ` +
+        `(peak ${p.memory.peak.human}), CPU ${p.cpu.average.human}, max lag ${p.eventLoop.max.human}`
+    );
+  });
+
   console.log('\n📈 TARGET ANALYSIS:');
   if (report.analysis.target) {
     const totalTime = report.clock.duration;
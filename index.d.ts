@@ -1,4 +1,8 @@
 // Type definitions for ak-diagnostic
+import { EventEmitter } from 'events';
+import { Server } from 'http';
+import { Worker } from 'worker_threads';
+
 /**
  * Alert callback function type
  */
@@ -8,9 +12,25 @@ type AlertCallback = (info: AlertInfo) => void;
  * Alert information passed to the alert callback
  */
 interface AlertInfo {
+  /** 'threshold_exceeded' / 'threshold_resolved' for the threshold, 'rule_triggered' / 'rule_resolved' for rules */
   type: string;
+  /** The state transition this alert reports */
+  state: 'triggered' | 'resolved';
+  /** Name of the rule ('threshold' for the threshold option) */
+  rule: string;
+  /** Metric watched by the rule, 'custom' for accessor functions */
+  metric: string;
+  value: number;
+  limit: number;
+  formatted: {
+    value: string;
+    limit: string;
+  };
+  /** How long the rule was firing, for resolved alerts (0 when triggered) */
+  duration: number;
   timestamp: number;
-  memory: {
+  /** Only present for the threshold rule */
+  memory?: {
     current: number;
     threshold: number;
     formatted: {
@@ -18,9 +38,90 @@ interface AlertInfo {
       threshold: string;
     };
   };
+  /** Path of the heap snapshot written for this alert, or null when none was written */
+  heapSnapshot: string | null;
   name: string;
 }
 
+/**
+ * Sample metrics an alert rule can watch by name
+ */
+type RuleMetric =
+  | 'total'
+  | 'heapUsed'
+  | 'heapTotal'
+  | 'rss'
+  | 'external'
+  | 'arrayBuffers'
+  | 'cpu'
+  | 'eventLoopLag';
+
+/**
+ * A sample as passed to alert rules and `sample` listeners
+ */
+interface DiagnosticSample {
+  timestamp: number;
+  memory: any;
+  cpu: any;
+  /** Largest event loop lag in milliseconds since the previous sample */
+  eventLoopLag: number;
+  /** Active handles and requests by resource type, null when the runtime can't list them */
+  resources: Record<string, number> | null;
+  metrics: Record<RuleMetric, number>;
+  /** Values of custom metric rules, by rule name */
+  custom: Record<string, number>;
+}
+
+/**
+ * Declarative alert rule
+ */
+interface AlertRuleOptions {
+  /** Rule label (required for custom metrics) */
+  name?: string;
+  /** Metric name, or an accessor returning a custom value from the sample */
+  metric: RuleMetric | ((sample: DiagnosticSample) => number);
+  /** Trigger when the value goes above this */
+  above?: number;
+  /** Trigger when the value goes below this */
+  below?: number;
+  /** Value the metric must get back to before the rule resolves (default: the limit) */
+  clear?: number;
+  /** Milliseconds the condition must hold before triggering (default: 0) */
+  for?: number;
+  /** Minimum milliseconds between two triggers of this rule (default: 0) */
+  cooldown?: number;
+}
+
+/**
+ * Rule state in the report
+ */
+interface AlertRuleSummary {
+  name: string;
+  metric: string;
+  direction: 'above' | 'below';
+  limit: number;
+  clear: number;
+  state: 'ok' | 'pending' | 'firing';
+  triggers: number;
+  lastTriggered: number | null;
+  lastResolved: number | null;
+  firingTime: number;
+  firingTimeHuman: string;
+}
+
+/**
+ * Alert rule transition kept in the report's alert history
+ */
+interface AlertHistoryEntry {
+  /** Timestamp of the sample that caused the transition */
+  timestamp: number;
+  rule: string;
+  metric: string;
+  state: 'triggered' | 'resolved';
+  /** Metric value at the transition */
+  value: number;
+}
+
 /**
  * Options for Diagnostics constructor
  */
@@ -31,12 +132,203 @@ interface DiagnosticsOptions {
   interval?: number;
   /** Memory threshold in bytes before firing an alert (default: none) */
   threshold?: number;
-  /** Function callback when threshold is reached (default: noop) */
+  /** Function callback when the threshold or a rule triggers or resolves (default: noop) */
   alert?: AlertCallback;
+  /** Alert rules over sample metrics (default: none) */
+  rules?: AlertRuleOptions[];
   /** Target memory consumption in bytes (default: none) */
   target?: number;
   /** Whether to monitor event loop lag (default: true) */
   monitorEventLoop?: boolean;
+  /** Whether to observe garbage collection pauses (default: true) */
+  monitorGC?: boolean;
+  /** Whether to capture per-heap-space usage with v8.getHeapSpaceStatistics() (default: false) */
+  heapSpaces?: boolean;
+  /** Write a heap snapshot when the threshold is exceeded; `true` uses the defaults (default: false) */
+  heapSnapshot?: boolean | HeapSnapshotOptions;
+  /** Maximum raw samples retained per series; 0 keeps every sample (default: 1000) */
+  maxSamples?: number;
+  /** Maximum age in milliseconds of retained raw samples (default: none) */
+  retention?: number;
+  /** Event loop lag in milliseconds counted as a stall (default: 100) */
+  stallThreshold?: number;
+  /** Event loop delay histogram resolution in milliseconds (default: 10) */
+  eventLoopResolution?: number;
+  /** Write the report when the process exits, is signalled or crashes; a string sets the path */
+  flushOnExit?: boolean | string | FlushOnExitOptions;
+  /** Append every sample to an NDJSON file; a string sets the path */
+  sampleLog?: string | SampleLogOptions;
+  /** Track async resources with async_hooks and report suspected leaks (default: false) */
+  asyncHooks?: boolean | AsyncHooksOptions;
+  /** Limits report() judges the session against, each a maximum */
+  budgets?: Budgets;
+  /** Cluster mode: a worker sends its samples to the primary, the primary reports on every worker (default: false) */
+  cluster?: boolean;
+}
+
+/**
+ * Options for the NDJSON sample log
+ */
+interface SampleLogOptions {
+  /** Path of the active log file */
+  path: string;
+  /** Rotate the file once it would grow past this many bytes (default: never) */
+  maxBytes?: number;
+  /** Gzip rotated files (default: false) */
+  gzip?: boolean;
+}
+
+/**
+ * Maximum allowed per budget
+ */
+interface Budgets {
+  /** Bytes */
+  peakMemory?: number;
+  /** Bytes */
+  peakHeap?: number;
+  /** Bytes */
+  peakRss?: number;
+  /** Percent */
+  averageCpu?: number;
+  /** Percent */
+  peakCpu?: number;
+  /** Milliseconds */
+  eventLoopP99?: number;
+  /** Milliseconds */
+  eventLoopMax?: number;
+  /** Percent of the session spent in GC pauses */
+  gcTime?: number;
+  /** Milliseconds */
+  duration?: number;
+  /** Milliseconds */
+  timeOverTarget?: number;
+  /** Alert rule triggers */
+  alerts?: number;
+}
+
+/**
+ * Outcome of one budget
+ */
+interface BudgetResult {
+  name: keyof Budgets;
+  passed: boolean;
+  limit: Metric;
+  actual: Metric;
+  /** Headroom left under the limit, negative when over it */
+  margin: Metric;
+}
+
+/**
+ * Budgets evaluated against a report
+ */
+interface BudgetReport {
+  /** Whether every budget passed */
+  passed: boolean;
+  /** Number of failed budgets */
+  failed: number;
+  budgets: BudgetResult[];
+}
+
+/**
+ * Options for async resource tracking
+ */
+interface AsyncHooksOptions {
+  /** Age in milliseconds after which an unsettled resource is a leak suspect (default: 10000) */
+  maxAge?: number;
+  /** Live resources whose creation stack is kept at a time (default: 1000) */
+  maxStacks?: number;
+  /** Live resources followed at a time, later ones are only counted as created (default: 100000) */
+  maxTracked?: number;
+  /** Suspected leak sites listed in the report (default: 10) */
+  top?: number;
+}
+
+/**
+ * Options for writing the report when the process ends
+ */
+interface FlushOnExitOptions {
+  /** Report path (default: ./diagnostics-<name>-<pid>.json) */
+  path?: string;
+  /** Turns the report into file contents (default: pretty-printed JSON) */
+  serialize?: (report: DiagnosticReport) => string;
+}
+
+/**
+ * Why the process ended, attached to reports written by flushOnExit
+ */
+interface TerminationInfo {
+  reason: 'exit' | 'signal' | 'uncaughtException' | 'unhandledRejection';
+  /** Terminating signal, when the process was signalled */
+  signal?: string;
+  /** Exit code, when the process exited normally */
+  exitCode?: number;
+  /** Fatal error or rejection reason */
+  error?: {
+    name: string;
+    message: string;
+    stack: string | null;
+  };
+  timestamp: number;
+  /** Signals and fatal errors your own handlers dealt with earlier, the 10 most recent */
+  handled: Array<{
+    reason: 'signal' | 'uncaughtException' | 'unhandledRejection';
+    signal?: string;
+    error?: {
+      name: string;
+      message: string;
+      stack: string | null;
+    };
+    timestamp: number;
+  }>;
+}
+
+/**
+ * Options for automatic heap snapshots
+ */
+interface HeapSnapshotOptions {
+  /** Directory the snapshots are written to (default: os.tmpdir()) */
+  directory?: string;
+  /** Minimum milliseconds between two snapshots (default: 300000) */
+  cooldown?: number;
+  /** Maximum number of snapshots written by the instance (default: 1) */
+  maxCount?: number;
+  /** Disk budget in bytes for all snapshots (default: 1GB) */
+  maxBytes?: number;
+}
+
+/**
+ * A heap snapshot written to disk
+ */
+interface HeapSnapshotInfo {
+  path: string;
+  timestamp: number;
+  bytes: number;
+  human: string;
+}
+
+/**
+ * Growth trend of a memory series
+ */
+interface MemoryTrendStats {
+  /** Whether the regression ran over post-GC lows or, lacking enough lows, every sample */
+  basis: 'lows' | 'samples';
+  points: number;
+  bytesPerMinute: number;
+  human: string;
+  /** Coefficient of determination of the linear fit (0-1) */
+  r2: number;
+}
+
+/**
+ * Memory leak suspicion derived from the heap trend
+ */
+interface LeakAnalysis {
+  verdict: 'likely' | 'possible' | 'none' | 'insufficient-data';
+  /** 0-1, the fit quality discounted for few data points */
+  confidence: number;
+  heapLimit: Metric | null;
+  /** Projected time until heapUsed reaches heapLimit at the current growth rate */
+  timeToHeapLimit: Metric | null;
 }
 
 /**
@@ -46,6 +338,9 @@ interface Metric {
   bytes?: number;
   percentage?: number;
   ms?: number;
+  count?: number;
+  /** Operations per second, for benchmarks */
+  ops?: number;
   human: string;
 }
 
@@ -56,6 +351,7 @@ interface MemoryStats {
   peak: Metric;
   average: Metric;
   low: Metric;
+  timeWeightedAverage: Metric;
 }
 
 /**
@@ -65,6 +361,114 @@ interface CPUStats {
   peak: Metric;
   average: Metric;
   low: Metric;
+  timeWeightedAverage: Metric;
+}
+
+/**
+ * Event loop lag statistics
+ */
+interface EventLoopLagStats {
+  average: Metric;
+  max: Metric;
+  min: Metric;
+  p50: Metric;
+  p90: Metric;
+  p99: Metric;
+  p999: Metric;
+  stddev: Metric;
+  stalls: {
+    count: number;
+    threshold: Metric;
+  };
+  /** Where the distribution came from: the native perf_hooks histogram or the timer probe */
+  source: 'histogram' | 'timer';
+}
+
+/**
+ * Garbage collection pause statistics
+ */
+interface GCPauseStats {
+  count: number;
+  total: Metric;
+  average: Metric;
+  max: Metric;
+  p50: Metric;
+  p90: Metric;
+  p99: Metric;
+  p999: Metric;
+}
+
+/**
+ * Garbage collection statistics, overall and by collection kind
+ */
+interface GCStats extends GCPauseStats {
+  /** GC pause time as a percentage of wall clock duration */
+  percentage: Metric;
+  byKind: {
+    scavenge: GCPauseStats;
+    markSweep: GCPauseStats;
+    incremental: GCPauseStats;
+    weakCallbacks: GCPauseStats;
+  };
+}
+
+/**
+ * Statistics of a named phase, merged across all its timeline segments
+ */
+interface PhaseReport {
+  name: string;
+  /** Number of timeline segments with this name */
+  segments: number;
+  startTime: number;
+  endTime: number;
+  duration: Metric;
+  memory: {
+    /** Change in heapUsed from the start to the end of the phase (summed over segments) */
+    delta: Metric;
+    rssDelta: Metric;
+    peak: Metric;
+    average: Metric;
+    low: Metric;
+  };
+  cpu: {
+    average: Metric;
+    peak: Metric;
+  };
+  eventLoop: {
+    average: Metric;
+    max: Metric;
+  };
+}
+
+/**
+ * Runs of one operation label timed with time() or wrap()
+ */
+interface OperationReport {
+  name: string;
+  count: number;
+  /** Runs that threw or rejected */
+  errors: number;
+  duration: {
+    min: Metric;
+    mean: Metric;
+    p50: Metric;
+    p95: Metric;
+    p99: Metric;
+    max: Metric;
+  };
+  /** Change in heapUsed over a run */
+  heapDelta: {
+    average: Metric;
+    max: Metric;
+  };
+}
+
+/**
+ * Start of a timeline segment
+ */
+interface PhaseMark {
+  name: string;
+  timestamp: number;
 }
 
 /**
@@ -96,6 +500,230 @@ interface SystemInfo {
   resourceLimits: any;
 }
 
+/**
+ * One attached worker thread in the report
+ */
+interface WorkerThreadStats {
+  threadId: number;
+  name: string;
+  state: 'running' | 'exited';
+  startTime: number;
+  endTime: number | null;
+  exitCode: number | null;
+  duration: Metric;
+  /** Samples the worker posted */
+  samples: number;
+  heapUsed: MemoryStats;
+  cpu: CPUStats;
+  /** 'thread' when measured with process.threadCpuUsage(), 'eventLoop' when approximated by utilization */
+  cpuSource: 'thread' | 'eventLoop' | null;
+  eventLoopUtilization: CPUStats;
+}
+
+/**
+ * Active libuv handles and requests by resource type, from process.getActiveResourcesInfo()
+ */
+interface ActiveResourceStats {
+  samples: number;
+  byType: Record<
+    string,
+    {
+      peak: number;
+      final: number;
+      /** The count never went down and ended higher than it started */
+      growing: boolean;
+    }
+  >;
+  /** Resource types whose count only ever grew, a hint of leaked sockets, timers or file handles */
+  growing: string[];
+}
+
+/**
+ * Async resources tracked with async_hooks
+ */
+interface AsyncStats {
+  maxAge: Metric;
+  /** Resources created and destroyed (settled, for promises) since start(), and those still unsettled, by type */
+  byType: Record<string, { created: number; destroyed: number; live: number }>;
+  /** Resources created while maxTracked were already followed, neither destroyed nor live can count them */
+  untracked: number;
+  /** Unsettled resources older than maxAge grouped by creation site, most frequent first */
+  suspects: Array<{
+    type: string;
+    /** Innermost stack frame outside Node.js internals */
+    site: string;
+    stack: string[];
+    count: number;
+    /** Age of the oldest resource created at this site */
+    age: Metric;
+  }>;
+}
+
+/**
+ * Attached worker threads: each one, their aggregate, and when they started and exited
+ */
+interface WorkerStats {
+  count: number;
+  /** Largest number of attached workers alive at the same time */
+  peakConcurrent: number;
+  /** Live workers combined at every main thread sample: heap and CPU summed, utilization averaged */
+  aggregate: {
+    samples: number;
+    heapUsed: MemoryStats;
+    cpu: CPUStats;
+    eventLoopUtilization: CPUStats;
+  };
+  threads: WorkerThreadStats[];
+  events: Array<{
+    type: 'start' | 'exit';
+    timestamp: number;
+    threadId: number;
+    name: string;
+    exitCode?: number;
+  }>;
+}
+
+/**
+ * One cluster worker as seen by the primary
+ */
+interface ClusterWorkerStats {
+  /** Cluster worker id */
+  id: number;
+  pid: number;
+  /** Session name in the worker */
+  name: string;
+  state: 'running' | 'exited';
+  startTime: number;
+  endTime: number | null;
+  exitCode: number | null;
+  signal: string | null;
+  samples: number;
+  rss: MemoryStats;
+  heapUsed: MemoryStats;
+  cpu: CPUStats;
+  eventLoopLag: {
+    average: Metric;
+    max: Metric;
+  };
+}
+
+/**
+ * Worker with the highest value of a metric
+ */
+interface ClusterWorst {
+  id: number;
+  pid: number;
+  value: Metric;
+}
+
+/**
+ * Cluster workers combined on the primary in cluster mode
+ */
+interface ClusterStats {
+  workers: number;
+  alive: number;
+  /** Live workers summed at every primary sample */
+  totals: {
+    samples: number;
+    rss: MemoryStats;
+    heapUsed: MemoryStats;
+    cpu: CPUStats;
+  };
+  /** Highest peak RSS and heap, average CPU and max event loop lag */
+  worst: {
+    rss: ClusterWorst;
+    heapUsed: ClusterWorst;
+    cpu: ClusterWorst;
+    eventLoopLag: ClusterWorst;
+  };
+  byWorker: ClusterWorkerStats[];
+  events: Array<{
+    type: 'start' | 'exit';
+    timestamp: number;
+    id: number;
+    pid: number;
+    exitCode?: number | null;
+    signal?: string | null;
+  }>;
+}
+
+/**
+ * Options for Diagnostics.bench()
+ */
+interface BenchOptions {
+  /** Calls per measured round (default: 100) */
+  iterations?: number;
+  /** Calls run before measuring (default: 10) */
+  warmup?: number;
+  /** Milliseconds to keep measuring for, at least 5 rounds are run (default: 1000) */
+  time?: number;
+  /** Sampling interval of the dedicated session in milliseconds (default: 5000) */
+  interval?: number;
+}
+
+/**
+ * Result of Diagnostics.bench()
+ */
+interface BenchResult {
+  name: string;
+  /** Calls measured across all timed rounds */
+  iterations: number;
+  rounds: number;
+  warmup: number;
+  /** Whether a garbage collection was forced before each round (global.gc exposed) */
+  gcForced: boolean;
+  /** Mean operations per second, with its margin in `human` */
+  opsPerSecond: Metric & {
+    /** Bounds of the 95% confidence interval */
+    low: Metric;
+    high: Metric;
+    /** Half-width of the confidence interval relative to the mean */
+    margin: Metric;
+  };
+  /** Time per operation */
+  time: {
+    mean: Metric;
+    min: Metric;
+    max: Metric;
+    /** Time spent in the timed rounds */
+    total: Metric;
+  };
+  memory: {
+    /** Mean heap bytes allocated per operation */
+    perOperation: Metric;
+    /** Rounds the allocation could be measured in */
+    rounds: number;
+  };
+  /** Process CPU during the timed rounds */
+  cpu: Metric;
+  /** Report of the dedicated session */
+  report: DiagnosticReport;
+}
+
+/**
+ * Handle returned by Diagnostics.reportFromWorker()
+ */
+interface WorkerReporterHandle {
+  /** Posts a final sample and stops reporting */
+  stop(): void;
+}
+
+/**
+ * One point of the report timeline, the mean of the samples in its bucket
+ */
+interface TimelinePoint {
+  timestamp: number;
+  heapUsed: number;
+  rss: number;
+  external: number;
+  /** CPU percentage, null when the bucket only holds the first sample */
+  cpu: number | null;
+  /** Largest event loop lag in the bucket, in ms */
+  eventLoopLag: number;
+  /** Attached workers alive at the start of the bucket, only when workers were attached */
+  workers?: number;
+}
+
 /**
  * Diagnostic report
  */
@@ -105,17 +733,30 @@ interface DiagnosticReport {
     peak: Metric;
     average: Metric;
     low: Metric;
+    timeWeightedAverage: Metric;
     heap: MemoryStats;
     rss: MemoryStats;
+    /** Used bytes per V8 heap space (new_space, old_space, ...), or null when heapSpaces is off */
+    spaces: Record<string, MemoryStats> | null;
   };
   cpu: CPUStats;
   eventLoop: {
-    lag: {
-      average: Metric;
-      max: Metric;
-      min: Metric;
-    };
+    lag: EventLoopLagStats;
   };
+  gc: GCStats;
+  phases: PhaseReport[];
+  operations: OperationReport[];
+  /** Active handles and requests by resource type, null when the runtime can't list them */
+  activeResources: ActiveResourceStats | null;
+  /** Async resources by type and suspected leak sites, null unless the asyncHooks option is set */
+  async: AsyncStats | null;
+  /** Attached worker threads, null when none were attached */
+  workers: WorkerStats | null;
+  /** Cluster workers seen by the primary in cluster mode, null otherwise */
+  cluster: ClusterStats | null;
+  marks: PhaseMark[];
+  /** Retained samples downsampled to at most 120 points */
+  timeline: TimelinePoint[];
   infos: SystemInfo;
   clock: {
     startTime: number;
@@ -125,7 +766,13 @@ interface DiagnosticReport {
   };
   analysis: {
     numSamples: number;
+    numRetainedSamples: number;
+    maxSamples: number | null;
+    retention: number | null;
     numOfAlertTriggers: number;
+    /** Most recent rule transitions, oldest first */
+    alertHistory: AlertHistoryEntry[];
+    rules: AlertRuleSummary[];
     timeOverTarget: number;
     timeOverTargetHuman: string;
     timeUnderTarget: number;
@@ -133,6 +780,12 @@ interface DiagnosticReport {
     samplingInterval: number;
     threshold: Metric | null;
     target: Metric | null;
+    heapSnapshots: HeapSnapshotInfo[];
+    trend: {
+      heap: MemoryTrendStats;
+      rss: MemoryTrendStats;
+    };
+    leak: LeakAnalysis;
   };
   summary: {
     duration: string;
@@ -140,9 +793,14 @@ interface DiagnosticReport {
     averageMemory: string;
     peakCPU: string;
     averageCPU: string;
+    gcTime: string;
     samples: number;
     alerts: number;
   };
+  /** Budgets evaluated against this report, null when none are configured */
+  budget: BudgetReport | null;
+  /** Why the process ended, only on reports written by flushOnExit */
+  termination?: TerminationInfo;
 }
 
 /**
@@ -156,11 +814,135 @@ interface DiagnosticsStatus {
 }
 
 /**
- * Main Diagnostics class for collecting runtime diagnostic information
+ * Options for the Prometheus exporter
+ */
+interface PrometheusOptions {
+  /** Prefix of every metric name (default: 'ak_diagnostic_') */
+  prefix?: string;
+}
+
+/**
+ * Options for the Prometheus metrics server
+ */
+interface MetricsServerOptions extends PrometheusOptions {
+  /** Port to listen on, 0 for a random port (default: 9464) */
+  port?: number;
+  /** Host to bind to (default: all interfaces) */
+  host?: string;
+  /** Path the metrics are served on (default: '/metrics') */
+  path?: string;
+}
+
+/**
+ * Options for Diagnostics.compare()
  */
-export class Diagnostics {
+interface CompareOptions {
+  /** Relative change ignored for every metric, 0.1 = 10% (default: 0.1) */
+  tolerance?: number;
+  /** Relative tolerance per metric path prefix, e.g. { 'memory.heap': 0.05 } */
+  tolerances?: Record<string, number>;
+  /** Absolute change ignored per unit (default: 1 MB, 1 ms, 1 percentage point, 1) */
+  minimums?: Partial<Record<'bytes' | 'ms' | 'percentage' | 'count', number>>;
+}
+
+/**
+ * One metric compared between two reports
+ */
+interface MetricComparison {
+  /** Dotted report path, e.g. 'memory.heap.peak' or 'phases.load.duration' */
+  metric: string;
+  unit: 'bytes' | 'ms' | 'percentage' | 'count';
+  baseline: number;
+  current: number;
+  /** current - baseline */
+  delta: number;
+  /** Change relative to the baseline in percent, null when the baseline is 0 */
+  percent: number | null;
+  /** Tolerance applied, in percent */
+  tolerance: number;
+  status: 'regression' | 'improvement' | 'unchanged';
+  human: string;
+}
+
+/**
+ * Result of Diagnostics.compare()
+ */
+interface ComparisonResult {
+  verdict: 'regressed' | 'improved' | 'unchanged';
+  regressions: MetricComparison[];
+  improvements: MetricComparison[];
+  metrics: MetricComparison[];
+  /** Multi-line human-readable summary */
+  summary: string;
+}
+
+/**
+ * Payload of lifecycle events
+ */
+interface LifecycleEvent {
+  name: string;
+  timestamp: number;
+  /** Session duration in milliseconds, `stop` only */
+  duration?: number;
+}
+
+/**
+ * Events emitted by Diagnostics and their payloads
+ */
+interface DiagnosticsEvents {
+  start: LifecycleEvent;
+  stop: LifecycleEvent;
+  reset: LifecycleEvent;
+  sample: DiagnosticSample;
+  alert: AlertInfo;
+  /** serveMetrics() server errors, e.g. EADDRINUSE; without a listener they are dropped */
+  error: Error;
+}
+
+/**
+ * Main Diagnostics class for collecting runtime diagnostic information.
+ * Listener errors are swallowed so they cannot affect sampling or the host application.
+ */
+export class Diagnostics extends EventEmitter {
   constructor(options: DiagnosticsOptions);
 
+  /** Rebuilds a report from one or more sample log files, plain or gzipped */
+  static fromLog(paths: string | string[]): Promise<DiagnosticReport>;
+
+  /** Reports the calling worker thread to the session it was attached to on the main thread */
+  static reportFromWorker(options?: { interval?: number }): WorkerReporterHandle;
+
+  /** Benchmarks a function: ops/sec with a 95% confidence interval, time and bytes per operation */
+  static bench(name: string, fn: () => unknown, options?: BenchOptions): Promise<BenchResult>;
+
+  /** Compares two reports, flagging metrics that changed beyond the tolerance (lower is better) */
+  static compare(
+    baseline: DiagnosticReport,
+    current: DiagnosticReport,
+    options?: CompareOptions
+  ): ComparisonResult;
+
+  on<K extends keyof DiagnosticsEvents>(
+    event: K,
+    listener: (payload: DiagnosticsEvents[K]) => void
+  ): this;
+  once<K extends keyof DiagnosticsEvents>(
+    event: K,
+    listener: (payload: DiagnosticsEvents[K]) => void
+  ): this;
+  off<K extends keyof DiagnosticsEvents>(
+    event: K,
+    listener: (payload: DiagnosticsEvents[K]) => void
+  ): this;
+  addListener<K extends keyof DiagnosticsEvents>(
+    event: K,
+    listener: (payload: DiagnosticsEvents[K]) => void
+  ): this;
+  removeListener<K extends keyof DiagnosticsEvents>(
+    event: K,
+    listener: (payload: DiagnosticsEvents[K]) => void
+  ): this;
+
   /** Starts the diagnostic collection */
   start(): Diagnostics;
 
@@ -173,8 +955,61 @@ export class Diagnostics {
   /** Resets all collected data */
   reset(): Diagnostics;
 
+  /** Evaluates the budgets on a final report and sets process.exitCode when any fails */
+  enforceBudgets(options?: { exitCode?: number }): BudgetReport | null;
+
   /** Gets current status */
   status(): DiagnosticsStatus;
+
+  /** Marks the start of a named phase, ending the current one */
+  mark(name: string): Diagnostics;
+
+  /** Runs a function as a named phase and returns its result */
+  phase<T>(name: string, fn: () => T): T;
+
+  /** Runs a function as a timed operation and returns its result */
+  time<T>(label: string, fn: () => T): T;
+
+  /** Wraps a function so every call is timed as an operation */
+  wrap<A extends unknown[], R>(label: string, fn: (...args: A) => R): (...args: A) => R;
+
+  /** Attaches a worker thread that reports with Diagnostics.reportFromWorker() */
+  attachWorker(worker: Worker, options?: { name?: string }): Diagnostics;
+
+  /** Renders the current gauges in Prometheus text exposition format */
+  prometheus(options?: PrometheusOptions): string;
+
+  /** Serves `prometheus()` over HTTP; the server is unref'd */
+  serveMetrics(options?: MetricsServerOptions): Server;
 }
 
-export default { Diagnostics };
+/**
+ * Options for formatReport()
+ */
+interface FormatReportOptions {
+  /** Output format: aligned text, a self-contained HTML page or GitHub-flavored Markdown (default: 'text') */
+  format?: 'text' | 'html' | 'markdown';
+  /** Text only: no colors and ASCII sparklines (default: when stdout is not a TTY) */
+  plain?: boolean;
+  /** Text only: sparkline width in characters (default: 60) */
+  width?: number;
+}
+
+/**
+ * Options for formatComparison()
+ */
+interface FormatComparisonOptions {
+  /** Output format: the comparison summary or GitHub-flavored Markdown (default: 'text') */
+  format?: 'text' | 'markdown';
+}
+
+/** Renders a report for people rather than machines */
+export function formatReport(report: DiagnosticReport, options?: FormatReportOptions): string;
+
+/** Renders the result of Diagnostics.compare() for people rather than machines */
+export function formatComparison(
+  comparison: ComparisonResult,
+  options?: FormatComparisonOptions
+): string;
+
+export default { Diagnostics, formatReport, formatComparison };
@@ -3,9 +3,24 @@
  * @module ak-diagnostic
  */
 
+const asyncHooks = require('async_hooks');
+const cluster = require('cluster');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const http = require('http');
 const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
 const v8 = require('v8');
-const { performance } = require('perf_hooks');
+const zlib = require('zlib');
+const { BroadcastChannel, isMainThread, threadId } = require('worker_threads');
+const {
+  performance,
+  monitorEventLoopDelay,
+  PerformanceObserver,
+  constants: perfConstants
+} = require('perf_hooks');
 
 /**
  * Formats bytes to human readable string with appropriate units
@@ -66,6 +81,632 @@ function safeExecute(fn, defaultValue = null) {
   }
 }
 
+/** @type {number} Default number of raw samples retained per series */
+const DEFAULT_MAX_SAMPLES = 1000;
+/** @type {number} Default event loop delay histogram resolution in milliseconds */
+const DEFAULT_EVENT_LOOP_RESOLUTION = 10;
+/** @type {number} Timer probe interval in milliseconds when the native histogram measures lag */
+const DEFAULT_EVENT_LOOP_PROBE_INTERVAL = 100;
+/** @type {number} Default event loop delay in milliseconds counted as a stall */
+const DEFAULT_STALL_THRESHOLD = 100;
+/** @type {number} Nanoseconds per millisecond */
+const NS_PER_MS = 1e6;
+/** @type {number} Default relative bucket width of a LogHistogram */
+const DEFAULT_HISTOGRAM_PRECISION = 0.01;
+/** @type {Object<string, number>} Percentiles reported for latency distributions, by report key */
+const LATENCY_PERCENTILES = { p50: 50, p90: 90, p99: 99, p999: 99.9 };
+/** @type {Object<string, number>} Percentiles reported for timed operations, by report key */
+const OPERATION_PERCENTILES = { p50: 50, p95: 95, p99: 99 };
+/** @type {number} Default minimum time in milliseconds between two automatic heap snapshots */
+const DEFAULT_SNAPSHOT_COOLDOWN = 300000;
+/** @type {number} Default maximum number of automatic heap snapshots per instance */
+const DEFAULT_SNAPSHOT_MAX_COUNT = 1;
+/** @type {number} Default disk budget in bytes for automatic heap snapshots */
+const DEFAULT_SNAPSHOT_MAX_BYTES = 1024 * 1024 * 1024;
+/** @type {number} Minimum points needed before a memory trend is reported */
+const MIN_TREND_POINTS = 3;
+/** @type {number} Points needed before trend confidence is no longer discounted */
+const FULL_CONFIDENCE_POINTS = 10;
+/** @type {number} Minimum confidence for a "likely" leak verdict */
+const LEAK_LIKELY_CONFIDENCE = 0.7;
+/** @type {number} Minimum confidence for a "possible" leak verdict */
+const LEAK_POSSIBLE_CONFIDENCE = 0.4;
+/** @type {number} Minimum growth over the observed span, relative to the mean, to call it a leak */
+const LEAK_MIN_RELATIVE_GROWTH = 0.01;
+/** @type {number} Milliseconds per minute */
+const MS_PER_MINUTE = 60000;
+/** @type {string[]} Sample metrics measured in bytes */
+const BYTE_METRICS = ['total', 'heapUsed', 'heapTotal', 'rss', 'external', 'arrayBuffers'];
+/** @type {string[]} Sample metrics an alert rule can watch by name */
+const RULE_METRICS = [...BYTE_METRICS, 'cpu', 'eventLoopLag'];
+/** @type {Object<string, {unit: string, value: function(object): number}>} Budgets the `budgets` option accepts, each the maximum of a report value */
+const BUDGETS = {
+  peakMemory: { unit: 'bytes', value: report => report.memory.peak.bytes },
+  peakHeap: { unit: 'bytes', value: report => report.memory.heap.peak.bytes },
+  peakRss: { unit: 'bytes', value: report => report.memory.rss.peak.bytes },
+  averageCpu: { unit: 'percentage', value: report => report.cpu.average.percentage },
+  peakCpu: { unit: 'percentage', value: report => report.cpu.peak.percentage },
+  eventLoopP99: { unit: 'ms', value: report => report.eventLoop.lag.p99.ms },
+  eventLoopMax: { unit: 'ms', value: report => report.eventLoop.lag.max.ms },
+  gcTime: { unit: 'percentage', value: report => report.gc.percentage.percentage },
+  duration: { unit: 'ms', value: report => report.clock.duration },
+  timeOverTarget: { unit: 'ms', value: report => report.analysis.timeOverTarget },
+  alerts: { unit: 'count', value: report => report.analysis.numOfAlertTriggers }
+};
+/** @type {number} Default process exit code when a budget fails */
+const DEFAULT_BUDGET_EXIT_CODE = 1;
+/** @type {number} Default calls of the benchmarked function per measured round */
+const DEFAULT_BENCH_ITERATIONS = 100;
+/** @type {number} Default calls run before measuring, to let the JIT settle */
+const DEFAULT_BENCH_WARMUP = 10;
+/** @type {number} Default milliseconds spent measuring */
+const DEFAULT_BENCH_TIME = 1000;
+/** @type {number} Rounds measured even when they take longer than the time budget */
+const MIN_BENCH_ROUNDS = 5;
+/** @type {Object<number, number>} Two-sided 95% critical values of Student's t distribution, by degrees of freedom */
+const T_DISTRIBUTION_95 = {
+  1: 12.706,
+  2: 4.303,
+  3: 3.182,
+  4: 2.776,
+  5: 2.571,
+  6: 2.447,
+  7: 2.365,
+  8: 2.306,
+  9: 2.262,
+  10: 2.228,
+  11: 2.201,
+  12: 2.179,
+  13: 2.16,
+  14: 2.145,
+  15: 2.131,
+  16: 2.12,
+  17: 2.11,
+  18: 2.101,
+  19: 2.093,
+  20: 2.086,
+  21: 2.08,
+  22: 2.074,
+  23: 2.069,
+  24: 2.064,
+  25: 2.06,
+  26: 2.056,
+  27: 2.052,
+  28: 2.048,
+  29: 2.045,
+  30: 2.042
+};
+/** @type {number} 95% critical value of the normal distribution, used past the t table */
+const Z_95 = 1.96;
+/** @type {string} Default prefix of exported Prometheus metric names */
+const DEFAULT_PROMETHEUS_PREFIX = 'ak_diagnostic_';
+/** @type {number} Default port of the Prometheus metrics server */
+const DEFAULT_METRICS_PORT = 9464;
+/** @type {number} Decimal places of exported Prometheus quantile labels */
+const QUANTILE_DIGITS = 4;
+/** @type {number} HTTP status for a successful scrape */
+const HTTP_OK = 200;
+/** @type {number} HTTP status for unknown paths */
+const HTTP_NOT_FOUND = 404;
+/** @type {number} Default relative change tolerated by compare() before flagging a metric */
+const DEFAULT_COMPARE_TOLERANCE = 0.1;
+/** @type {Object<string, number>} Default absolute change, per unit, below which compare() ignores a metric */
+const DEFAULT_COMPARE_MINIMUMS = { bytes: 1024 * 1024, ms: 1, percentage: 1, count: 1 };
+/** @type {string[]} Report sections whose numeric metrics compare() diffs */
+const COMPARED_SECTIONS = ['memory', 'cpu', 'eventLoop', 'gc', 'phases'];
+/** @type {string[]} Leaf keys holding a metric value, which doubles as its unit */
+const METRIC_UNITS = ['bytes', 'percentage', 'ms', 'count'];
+/** @type {number} Maximum number of points in the report timeline */
+const TIMELINE_POINTS = 120;
+/** @type {number} Default sparkline width in characters */
+const DEFAULT_SPARKLINE_WIDTH = 60;
+/** @type {string} Sparkline glyphs from lowest to highest, for terminals */
+const SPARK_BLOCKS = '▁▂▃▄▅▆▇█';
+/** @type {string} Sparkline glyphs from lowest to highest, for plain-text logs */
+const SPARK_ASCII = '_.-~=+*#';
+/** @type {Object<string, string>} ANSI escape sequences used by the text renderer */
+const ANSI = {
+  reset: '\u001b[0m',
+  bold: '\u001b[1m',
+  dim: '\u001b[2m',
+  red: '\u001b[31m',
+  green: '\u001b[32m',
+  yellow: '\u001b[33m'
+};
+/** @type {object} Geometry of the inline SVG charts in HTML reports, in SVG user units */
+const HTML_CHART = {
+  width: 720,
+  height: 220,
+  left: 72,
+  right: 16,
+  top: 16,
+  bottom: 28,
+  ticks: 4,
+  headroom: 1.1,
+  markerRadius: 4
+};
+/** @type {Object<string, string>} Colors of the HTML report charts and status badges */
+const HTML_COLORS = {
+  heapUsed: '#2563eb',
+  rss: '#7c3aed',
+  external: '#0891b2',
+  cpu: '#059669',
+  eventLoopLag: '#d97706',
+  threshold: '#dc2626',
+  target: '#ca8a04',
+  alert: '#dc2626',
+  grid: '#e5e7eb',
+  axis: '#6b7280'
+};
+/** @type {string} Broadcast channel workers post their samples on */
+const WORKER_CHANNEL = 'ak-diagnostic:workers';
+/** @type {number} Default milliseconds between two samples posted by a worker */
+const DEFAULT_WORKER_INTERVAL = 1000;
+/** @type {string} Type of the IPC messages cluster workers send their samples in */
+const CLUSTER_SAMPLE = 'ak-diagnostic:sample';
+/** @type {number} Default age in milliseconds after which a live async resource is a leak suspect */
+const DEFAULT_ASYNC_MAX_AGE = 10000;
+/** @type {number} Default number of live async resources whose creation stack is kept */
+const DEFAULT_ASYNC_MAX_STACKS = 1000;
+/** @type {number} Default number of live async resources followed at a time */
+const DEFAULT_ASYNC_MAX_TRACKED = 100000;
+/** @type {number} Default number of suspected leak sites in the report */
+const DEFAULT_ASYNC_TOP = 10;
+/** @type {number} Stack frames captured per async resource, before dropping internal ones */
+const ASYNC_CAPTURED_FRAMES = 30;
+/** @type {number} Stack frames kept per async resource */
+const ASYNC_KEPT_FRAMES = 8;
+/** @type {RegExp} Node.js internal stack frames: `node:` since Node 16, before that `internal/` or a bare core file like `timers.js` */
+const NODE_INTERNAL_FRAME = /(^|\()(node:|internal\/|\w+\.js:\d+:\d+\)?$)/;
+/** @type {string[]} Signals whose default action ends the process without emitting `exit` */
+const TERMINATING_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+/** @type {number} Most recent signals and fatal errors handled by the application kept for the report */
+const MAX_HANDLED_TERMINATIONS = 10;
+/** @type {Object<number, string>} Report key for each `gc` performance entry kind */
+const GC_KINDS = {
+  [perfConstants.NODE_PERFORMANCE_GC_MINOR]: 'scavenge',
+  [perfConstants.NODE_PERFORMANCE_GC_MAJOR]: 'markSweep',
+  [perfConstants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [perfConstants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakCallbacks'
+};
+
+/**
+ * Fixed-capacity ring buffer for timestamped samples with optional age-based retention
+ * @class SampleBuffer
+ */
+class SampleBuffer {
+  /**
+   * Creates a new sample buffer
+   * @constructor
+   * @param {number} [capacity=Infinity] - Maximum number of samples retained
+   * @param {number|null} [retention=null] - Maximum age of retained samples in milliseconds
+   */
+  constructor(capacity = Infinity, retention = null) {
+    /** @type {number} Maximum number of samples retained */
+    this.capacity = capacity > 0 ? capacity : Infinity;
+    /** @type {number|null} Maximum age of retained samples in milliseconds */
+    this.retention = retention || null;
+    /** @type {Array} Backing storage */
+    this.items = [];
+    /** @type {number} Index of the oldest retained sample */
+    this.head = 0;
+    /** @type {number} Number of retained samples */
+    this.size = 0;
+  }
+
+  /**
+   * Number of samples currently retained
+   * @returns {number}
+   */
+  get length() {
+    return this.size;
+  }
+
+  /**
+   * Appends a sample, evicting the oldest one when the buffer is full or samples have expired
+   * @param {{timestamp: number}} item - Sample to append
+   */
+  push(item) {
+    if (this.capacity === Infinity) {
+      this.items.push(item);
+      this.size++;
+    } else if (this.size < this.capacity) {
+      this.items[(this.head + this.size) % this.capacity] = item;
+      this.size++;
+    } else {
+      this.items[this.head] = item;
+      this.head = (this.head + 1) % this.capacity;
+    }
+
+    if (this.retention && item && item.timestamp) {
+      const cutoff = item.timestamp - this.retention;
+      while (this.size > 1 && this.get(0).timestamp < cutoff) {
+        this._dropOldest();
+      }
+    }
+  }
+
+  /**
+   * Gets the sample at a position, oldest first
+   * @param {number} index - Position from the oldest retained sample
+   * @returns {*} The sample or undefined when out of range
+   */
+  get(index) {
+    if (index < 0 || index >= this.size) return undefined;
+    if (this.capacity === Infinity) return this.items[this.head + index];
+    return this.items[(this.head + index) % this.capacity];
+  }
+
+  /**
+   * Gets the most recently pushed sample
+   * @returns {*} The newest sample or null when empty
+   */
+  last() {
+    return this.size > 0 ? this.get(this.size - 1) : null;
+  }
+
+  /**
+   * Copies the retained samples into an array, oldest first
+   * @returns {Array} Retained samples
+   */
+  toArray() {
+    const result = new Array(this.size);
+    for (let i = 0; i < this.size; i++) {
+      result[i] = this.get(i);
+    }
+    return result;
+  }
+
+  /**
+   * Removes all retained samples
+   */
+  clear() {
+    this.items = [];
+    this.head = 0;
+    this.size = 0;
+  }
+
+  /**
+   * Drops the oldest retained sample
+   * @private
+   */
+  _dropOldest() {
+    if (this.capacity === Infinity) {
+      this.items[this.head] = undefined;
+      this.head++;
+      // Compact once dead slots outnumber live ones so the backing array doesn't grow forever
+      if (this.head > this.size) {
+        this.items = this.items.slice(this.head);
+        this.head = 0;
+      }
+    } else {
+      this.items[this.head] = undefined;
+      this.head = (this.head + 1) % this.capacity;
+    }
+    this.size--;
+  }
+}
+
+/**
+ * Streaming aggregate (min/max/sum/count and time-weighted mean) over a series of values
+ * @class RunningStats
+ */
+class RunningStats {
+  /**
+   * Creates an empty aggregate
+   * @constructor
+   */
+  constructor() {
+    /** @type {number} Number of values observed */
+    this.count = 0;
+    /** @type {number} Sum of observed values */
+    this.sum = 0;
+    /** @type {number} Sum of squared observed values */
+    this.sumOfSquares = 0;
+    /** @type {number} Smallest observed value */
+    this.min = Infinity;
+    /** @type {number} Largest observed value */
+    this.max = -Infinity;
+    /** @type {number} Integral of value over time (value x ms) */
+    this.area = 0;
+    /** @type {number|null} Timestamp of the first value */
+    this.firstTimestamp = null;
+    /** @type {number|null} Timestamp of the last value */
+    this.lastTimestamp = null;
+    /** @type {number|null} Last observed value */
+    this.lastValue = null;
+  }
+
+  /**
+   * Adds a value to the aggregate
+   * @param {number} value - Observed value
+   * @param {number} [timestamp] - When the value was observed, for time weighting
+   */
+  add(value, timestamp) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return;
+
+    this.count++;
+    this.sum += value;
+    this.sumOfSquares += value * value;
+    if (value < this.min) this.min = value;
+    if (value > this.max) this.max = value;
+
+    if (typeof timestamp === 'number') {
+      if (this.lastTimestamp !== null && timestamp > this.lastTimestamp) {
+        // Step interpolation: the previous value held until this sample
+        this.area += this.lastValue * (timestamp - this.lastTimestamp);
+      }
+      if (this.firstTimestamp === null) this.firstTimestamp = timestamp;
+      this.lastTimestamp = timestamp;
+    }
+    this.lastValue = value;
+  }
+
+  /**
+   * Arithmetic mean of observed values
+   * @returns {number}
+   */
+  get mean() {
+    return this.count > 0 ? this.sum / this.count : 0;
+  }
+
+  /**
+   * Population standard deviation of observed values
+   * @returns {number}
+   */
+  get stddev() {
+    if (this.count === 0) return 0;
+    const mean = this.mean;
+    return Math.sqrt(Math.max(0, this.sumOfSquares / this.count - mean * mean));
+  }
+
+  /**
+   * Mean weighted by how long each value was held; falls back to the arithmetic mean
+   * @returns {number}
+   */
+  get timeWeightedMean() {
+    const span = this.lastTimestamp - this.firstTimestamp;
+    return this.count > 1 && span > 0 ? this.area / span : this.mean;
+  }
+
+  /**
+   * Summarizes the aggregate as peak/average/low
+   * @returns {{peak: number, average: number, low: number, timeWeightedAverage: number}}
+   */
+  toStats() {
+    if (this.count === 0) {
+      return { peak: 0, average: 0, low: 0, timeWeightedAverage: 0 };
+    }
+    return {
+      peak: this.max,
+      average: this.mean,
+      low: this.min,
+      timeWeightedAverage: this.timeWeightedMean
+    };
+  }
+}
+
+/**
+ * Online least-squares linear regression (Welford-style, numerically stable)
+ * @class LinearTrend
+ */
+class LinearTrend {
+  /**
+   * Creates an empty regression
+   * @constructor
+   */
+  constructor() {
+    /** @type {number} Number of points */
+    this.count = 0;
+    /** @type {number} Mean of x */
+    this.meanX = 0;
+    /** @type {number} Mean of y */
+    this.meanY = 0;
+    /** @type {number} Sum of squared x deviations */
+    this.m2x = 0;
+    /** @type {number} Sum of squared y deviations */
+    this.m2y = 0;
+    /** @type {number} Sum of x/y co-deviations */
+    this.cxy = 0;
+    /** @type {number} Smallest x */
+    this.minX = Infinity;
+    /** @type {number} Largest x */
+    this.maxX = -Infinity;
+  }
+
+  /**
+   * Adds a point
+   * @param {number} x - Independent value (e.g. timestamp)
+   * @param {number} y - Dependent value (e.g. bytes)
+   */
+  add(x, y) {
+    this.count++;
+    if (x < this.minX) this.minX = x;
+    if (x > this.maxX) this.maxX = x;
+    const dx = x - this.meanX;
+    this.meanX += dx / this.count;
+    const dy = y - this.meanY;
+    this.meanY += dy / this.count;
+    this.m2x += dx * (x - this.meanX);
+    this.m2y += dy * (y - this.meanY);
+    this.cxy += dx * (y - this.meanY);
+  }
+
+  /**
+   * Change in y per unit of x
+   * @returns {number}
+   */
+  get slope() {
+    return this.m2x > 0 ? this.cxy / this.m2x : 0;
+  }
+
+  /**
+   * Value of y at x = 0
+   * @returns {number}
+   */
+  get intercept() {
+    return this.meanY - this.slope * this.meanX;
+  }
+
+  /**
+   * Coefficient of determination (0 = no linear relation, 1 = perfect fit)
+   * @returns {number}
+   */
+  get r2() {
+    if (this.m2x <= 0) return 0;
+    if (this.m2y <= 0) return 1;
+    return (this.cxy * this.cxy) / (this.m2x * this.m2y);
+  }
+
+  /**
+   * Range of x covered by the points
+   * @returns {number}
+   */
+  get spanX() {
+    return this.count > 1 ? this.maxX - this.minX : 0;
+  }
+}
+
+/**
+ * Tracks the growth trend of a memory series, preferring its local minima (post-GC lows)
+ * so a healthy sawtooth doesn't look like growth
+ * @class MemoryTrend
+ */
+class MemoryTrend {
+  /**
+   * Creates an empty trend tracker
+   * @constructor
+   */
+  constructor() {
+    /** @type {LinearTrend} Regression over every sample */
+    this.samples = new LinearTrend();
+    /** @type {LinearTrend} Regression over local minima */
+    this.lows = new LinearTrend();
+    /** @type {Array<{value: number, timestamp: number}>} The last two samples, for trough detection */
+    this.window = [];
+    /** @type {number|null} Most recent local minimum */
+    this.lastLow = null;
+    /** @type {number|null} Most recent value */
+    this.lastValue = null;
+  }
+
+  /**
+   * Adds a sample
+   * @param {number} value - Memory in bytes
+   * @param {number} timestamp - When the sample was taken
+   */
+  add(value, timestamp) {
+    this.samples.add(timestamp, value);
+    this.lastValue = value;
+
+    const [before, middle] = this.window;
+    if (before && middle && middle.value < before.value && middle.value <= value) {
+      this.lows.add(middle.timestamp, middle.value);
+      this.lastLow = middle.value;
+    }
+
+    this.window.push({ value, timestamp });
+    if (this.window.length > 2) this.window.shift();
+  }
+
+  /**
+   * Summarizes the trend, falling back to all samples when too few lows were seen
+   * @returns {{basis: string, points: number, slope: number, bytesPerMinute: number, r2: number, span: number, mean: number, baseline: number}}
+   */
+  getStats() {
+    const useLows = this.lows.count >= MIN_TREND_POINTS;
+    const trend = useLows ? this.lows : this.samples;
+    return {
+      basis: useLows ? 'lows' : 'samples',
+      points: trend.count,
+      slope: trend.slope,
+      bytesPerMinute: trend.slope * MS_PER_MINUTE,
+      r2: trend.r2,
+      span: trend.spanX,
+      mean: trend.meanY,
+      // Where the series sits now, measured the same way the trend is
+      baseline: (useLows ? this.lastLow : this.lastValue) || 0
+    };
+  }
+}
+
+/**
+ * Log-bucketed histogram giving percentiles with bounded relative error in constant memory
+ * @class LogHistogram
+ */
+class LogHistogram {
+  /**
+   * Creates an empty histogram
+   * @constructor
+   * @param {number} [precision=0.01] - Relative width of each bucket (0.01 = 1% error)
+   */
+  constructor(precision = DEFAULT_HISTOGRAM_PRECISION) {
+    /** @type {number} Ratio between consecutive bucket bounds */
+    this.base = 1 + precision;
+    /** @type {number} Cached natural log of the base */
+    this.logBase = Math.log(this.base);
+    /** @type {Map<number, number>} Count per bucket index */
+    this.buckets = new Map();
+    /** @type {number} Count of values that are zero or negative */
+    this.zeros = 0;
+    /** @type {RunningStats} Exact min/max/mean/stddev over recorded values */
+    this.stats = new RunningStats();
+  }
+
+  /**
+   * Number of recorded values
+   * @returns {number}
+   */
+  get count() {
+    return this.stats.count;
+  }
+
+  /**
+   * Records a value
+   * @param {number} value - Value to record
+   */
+  record(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return;
+    this.stats.add(value);
+    if (value <= 0) {
+      this.zeros++;
+      return;
+    }
+    const index = Math.ceil(Math.log(value) / this.logBase);
+    this.buckets.set(index, (this.buckets.get(index) || 0) + 1);
+  }
+
+  /**
+   * Estimates the value at a percentile
+   * @param {number} percentile - Percentile between 0 and 100
+   * @returns {number} Upper bound of the bucket holding the percentile, clamped to the observed range
+   */
+  percentile(percentile) {
+    if (this.count === 0) return 0;
+    const rank = Math.max(1, Math.ceil((percentile / 100) * this.count));
+    if (rank <= this.zeros) return Math.max(this.stats.min, 0);
+
+    let seen = this.zeros;
+    const indexes = [...this.buckets.keys()].sort((a, b) => a - b);
+    for (const index of indexes) {
+      seen += this.buckets.get(index);
+      if (seen >= rank) {
+        return Math.min(Math.max(Math.pow(this.base, index), this.stats.min), this.stats.max);
+      }
+    }
+    return this.stats.max;
+  }
+
+  /**
+   * Removes all recorded values
+   */
+  reset() {
+    this.buckets = new Map();
+    this.zeros = 0;
+    this.stats = new RunningStats();
+  }
+}
+
 /**
  * Captures a point-in-time snapshot of memory usage
  * @class MemorySnapshot
@@ -74,8 +715,10 @@ class MemorySnapshot {
   /**
    * Creates a new memory snapshot with current memory usage
    * @constructor
+   * @param {object} [options={}] - Snapshot options
+   * @param {boolean} [options.heapSpaces=false] - Whether to capture per-heap-space statistics
    */
-  constructor() {
+  constructor(options = {}) {
     const memUsage = process.memoryUsage();
     /** @type {number} Timestamp when snapshot was taken */
     this.timestamp = Date.now();
@@ -89,6 +732,47 @@ class MemorySnapshot {
     this.external = memUsage.external;
     /** @type {number} Memory used by ArrayBuffer and SharedArrayBuffer */
     this.arrayBuffers = memUsage.arrayBuffers || 0;
+    /** @type {Object<string, {size: number, used: number, available: number, physical: number}>|null} V8 heap spaces by name */
+    this.heapSpaces = options.heapSpaces ? MemorySnapshot.captureHeapSpaces() : null;
+  }
+
+  /**
+   * Reads the current size and usage of every V8 heap space
+   * @static
+   * @returns {Object<string, {size: number, used: number, available: number, physical: number}>|null} Heap spaces by name, or null when unavailable
+   */
+  static captureHeapSpaces() {
+    return safeExecute(() => {
+      const spaces = {};
+      for (const space of v8.getHeapSpaceStatistics()) {
+        spaces[space.space_name] = {
+          size: space.space_size,
+          used: space.space_used_size,
+          available: space.space_available_size,
+          physical: space.physical_space_size
+        };
+      }
+      return spaces;
+    });
+  }
+
+  /**
+   * Restores a snapshot from a sample log record
+   * @static
+   * @param {object} data - Logged memory values
+   * @param {number} timestamp - When the snapshot was taken
+   * @returns {MemorySnapshot} Snapshot carrying the logged values
+   */
+  static fromJSON(data, timestamp) {
+    return Object.assign(Object.create(MemorySnapshot.prototype), {
+      timestamp,
+      rss: data.rss,
+      heapTotal: data.heapTotal,
+      heapUsed: data.heapUsed,
+      external: data.external,
+      arrayBuffers: data.arrayBuffers || 0,
+      heapSpaces: data.heapSpaces || null
+    });
   }
 
   /**
@@ -129,39 +813,92 @@ class CPUSnapshot {
       this.percentage = (totalDelta / (timeDelta * 1000)) * 100;
     }
   }
+
+  /**
+   * Restores a snapshot from a sample log record
+   * @static
+   * @param {{user: number, system: number, percentage: number}} data - Logged CPU values
+   * @param {number} timestamp - When the snapshot was taken
+   * @returns {CPUSnapshot} Snapshot carrying the logged values
+   */
+  static fromJSON(data, timestamp) {
+    return Object.assign(Object.create(CPUSnapshot.prototype), {
+      timestamp,
+      usage: { user: data.user, system: data.system },
+      percentage: data.percentage || 0
+    });
+  }
 }
 
 /**
- * Monitors and tracks event loop lag to detect blocking operations
+ * Monitors and tracks event loop lag to detect blocking operations.
+ * Uses the perf_hooks event loop delay histogram when available and falls back to timer drift.
  * @class EventLoopMonitor
  */
 class EventLoopMonitor {
   /**
    * Creates a new event loop monitor
    * @constructor
+   * @param {object} [options={}] - Monitor options
+   * @param {number} [options.resolution=10] - Histogram sampling resolution in milliseconds
+   * @param {number} [options.stallThreshold=100] - Lag in milliseconds counted as a stall
+   * @param {function(number): void} [options.onLag] - Called with every timer probe lag in milliseconds
    */
-  constructor() {
-    /** @type {number[]} Array of lag measurements in milliseconds */
-    this.samples = [];
+  constructor(options = {}) {
+    /** @type {number} Histogram sampling resolution in milliseconds */
+    this.resolution = options.resolution || DEFAULT_EVENT_LOOP_RESOLUTION;
+    /** @type {number} Lag in milliseconds counted as a stall */
+    this.stallThreshold = options.stallThreshold || DEFAULT_STALL_THRESHOLD;
+    /** @type {SampleBuffer} Most recent timer lag measurements in milliseconds */
+    this.samples = new SampleBuffer(DEFAULT_MAX_SAMPLES);
+    /** @type {LogHistogram} Timer lag distribution, used when no native histogram exists */
+    this.fallback = new LogHistogram();
+    /** @type {object|null} Native event loop delay histogram */
+    this.histogram = null;
+    /** @type {object|null} Native histogram reset every time the window is taken */
+    this.window = null;
+    /** @type {number} Number of timer checks whose lag exceeded the stall threshold */
+    this.stalls = 0;
+    /** @type {number} Largest timer lag since the window was last taken */
+    this.windowMax = 0;
+    /** @type {function(number): void|null} Called with every timer probe lag in milliseconds */
+    this.onLag = options.onLag || null;
+    /** @type {object|null} Statistics restored from a sample log, returned instead of live data */
+    this.restored = null;
     /** @type {NodeJS.Timeout|null} Interval handle for monitoring */
     this.checkInterval = null;
   }
 
   /**
    * Starts monitoring event loop lag
-   * @param {number} [interval=100] - Check interval in milliseconds
+   * @param {number} [interval] - Check interval in milliseconds for the timer probe. Defaults to
+   * the histogram resolution when the probe is the only source, and to 100ms otherwise
    */
-  start(interval = 100) {
+  start(interval) {
     if (this.checkInterval) return;
 
+    if (!this.histogram && typeof monitorEventLoopDelay === 'function') {
+      this.histogram = safeExecute(() => monitorEventLoopDelay({ resolution: this.resolution }));
+      this.window = safeExecute(() => monitorEventLoopDelay({ resolution: this.resolution }));
+    }
+    if (this.histogram) {
+      this.histogram.enable();
+    }
+    if (this.window) {
+      this.window.enable();
+    }
+    if (interval === undefined) {
+      interval = this.histogram ? DEFAULT_EVENT_LOOP_PROBE_INTERVAL : this.resolution;
+    }
+
+    // The timer probe feeds per-phase lag; without the native histograms it is also the only
+    // source of the distribution, the stall count and the per-sample maximum
     let lastCheck = performance.now();
     this.checkInterval = setInterval(() => {
       const now = performance.now();
       const actualDelay = now - lastCheck;
       const expectedDelay = interval;
-      const lag = Math.max(0, actualDelay - expectedDelay);
-
-      this.samples.push(lag);
+      this.record(Math.max(0, actualDelay - expectedDelay));
       lastCheck = now;
     }, interval);
 
@@ -171,6 +908,24 @@ class EventLoopMonitor {
     }
   }
 
+  /**
+   * Records one lag measurement
+   * @param {number} lag - Lag in milliseconds
+   */
+  record(lag) {
+    this.samples.push(lag);
+    this.fallback.record(lag);
+    if (lag >= this.stallThreshold) {
+      this.stalls++;
+    }
+    if (lag > this.windowMax) {
+      this.windowMax = lag;
+    }
+    if (this.onLag) {
+      safeExecute(() => this.onLag(lag));
+    }
+  }
+
   /**
    * Stops monitoring event loop lag
    */
@@ -179,69 +934,3132 @@ class EventLoopMonitor {
       clearInterval(this.checkInterval);
       this.checkInterval = null;
     }
+    if (this.histogram) {
+      this.histogram.disable();
+    }
+    if (this.window) {
+      this.window.disable();
+    }
+  }
+
+  /**
+   * Clears all collected lag data
+   */
+  reset() {
+    this.samples.clear();
+    this.fallback.reset();
+    this.stalls = 0;
+    this.windowMax = 0;
+    this.restored = null;
+    if (this.histogram) {
+      this.histogram.reset();
+    }
+    if (this.window) {
+      this.window.reset();
+    }
+  }
+
+  /**
+   * Returns the largest lag seen since the previous call and starts a new window
+   * @returns {number} Lag in milliseconds
+   */
+  takeWindowMax() {
+    let max = this.windowMax;
+    this.windowMax = 0;
+
+    const window = this.window;
+    if (window) {
+      max = safeExecute(() => (window.max > 0 ? this._toLag(window.max) : 0), max);
+      window.reset();
+    }
+    return max;
+  }
+
+  /**
+   * Converts a native histogram value to lag in milliseconds, removing the sampling resolution
+   * @private
+   * @param {number} ns - Histogram value in nanoseconds
+   * @returns {number} Lag in milliseconds
+   */
+  _toLag(ns) {
+    return Math.max(0, ns / NS_PER_MS - this.resolution);
+  }
+
+  /**
+   * Counts the native histogram values at or above the stall threshold
+   * @private
+   * @param {object} histogram - Native event loop delay histogram
+   * @returns {number|null} Number of stalls, or null when the histogram does not expose a count
+   */
+  _countStalls(histogram) {
+    const count = histogram.count;
+    if (typeof count !== 'number') return null;
+
+    const threshold = (this.stallThreshold + this.resolution) * NS_PER_MS;
+    if (count === 0 || histogram.max < threshold) return 0;
+
+    // Binary search for the lowest rank whose value reaches the threshold
+    let low = 1;
+    let high = count;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (histogram.percentile((mid / count) * 100) >= threshold) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return count - low + 1;
   }
 
   /**
    * Calculates statistics from collected lag samples
-   * @returns {{average: number, max: number, min: number}} Lag statistics in milliseconds
+   * @returns {{average: number, max: number, min: number, stddev: number, p50: number, p90: number, p99: number, p999: number, stalls: number, count: number, source: string}} Lag statistics in milliseconds
    */
   getStats() {
-    if (this.samples.length === 0) {
-      return { average: 0, max: 0, min: 0 };
+    if (this.restored) return this.restored;
+
+    const histogram = this.histogram;
+    // An unused native histogram reports min as a huge sentinel value, so check max instead
+    const native = histogram && safeExecute(() => histogram.max > 0, false);
+    const percentiles = {};
+
+    if (native) {
+      for (const [key, p] of Object.entries(LATENCY_PERCENTILES)) {
+        percentiles[key] = this._toLag(histogram.percentile(p));
+      }
+      const stalls = safeExecute(() => this._countStalls(histogram), null);
+      return {
+        average: this._toLag(histogram.mean),
+        max: this._toLag(histogram.max),
+        min: this._toLag(histogram.min),
+        stddev: histogram.stddev / NS_PER_MS,
+        ...percentiles,
+        stalls: stalls === null ? this.stalls : stalls,
+        count: typeof histogram.count === 'number' ? histogram.count : this.fallback.count,
+        source: 'histogram'
+      };
     }
 
-    const sum = this.samples.reduce((a, b) => a + b, 0);
+    const stats = this.fallback.stats;
+    for (const [key, p] of Object.entries(LATENCY_PERCENTILES)) {
+      percentiles[key] = this.fallback.percentile(p);
+    }
+    const empty = stats.count === 0;
     return {
-      average: sum / this.samples.length,
-      max: Math.max(...this.samples),
-      min: Math.min(...this.samples)
+      average: stats.mean,
+      max: empty ? 0 : stats.max,
+      min: empty ? 0 : stats.min,
+      stddev: stats.stddev,
+      ...percentiles,
+      stalls: this.stalls,
+      count: stats.count,
+      source: 'timer'
     };
   }
 }
 
 /**
- * Main Diagnostics class for collecting runtime performance metrics
- * @class Diagnostics
+ * Observes `gc` performance entries and aggregates pause durations by collection kind
+ * @class GCMonitor
  */
-class Diagnostics {
+class GCMonitor {
   /**
-   * Creates a new Diagnostics instance for monitoring runtime performance
+   * Creates a new garbage collection monitor
    * @constructor
-   * @param {object} [options={}] - Configuration options
-   * @param {string} options.name - Required label/identifier for this diagnostic session
-   * @param {number} [options.interval=5000] - Sampling interval in milliseconds
-   * @param {number} [options.threshold] - Memory threshold in bytes for triggering alerts
-   * @param {function} [options.alert] - Callback function when threshold is exceeded
-   * @param {number} [options.target] - Target memory consumption in bytes for tracking
-   * @param {boolean} [options.monitorEventLoop=true] - Whether to monitor event loop lag
-   * @throws {Error} When name option is not provided
-   * @example
-   * const diagnostics = new Diagnostics({
-   *   name: 'MyApp',
-   *   interval: 3000,
-   *   threshold: 500_000_000,
-   *   alert: (info) => console.log('Memory alert!', info)
-   * });
    */
-  constructor(options = {}) {
-    // Validate required options
-    if (!options.name) {
-      throw new Error('Diagnostics requires a "name" option');
+  constructor() {
+    /** @type {PerformanceObserver|null} Observer subscribed to gc entries */
+    this.observer = null;
+    /** @type {LogHistogram} Pause durations of every collection in milliseconds */
+    this.all = new LogHistogram();
+    /** @type {Object<string, LogHistogram>} Pause durations in milliseconds by collection kind */
+    this.byKind = this._createKinds();
+    /** @type {object|null} Statistics restored from a sample log, returned instead of live data */
+    this.restored = null;
+  }
+
+  /**
+   * Creates an empty histogram for every known collection kind
+   * @private
+   * @returns {Object<string, LogHistogram>}
+   */
+  _createKinds() {
+    const kinds = {};
+    for (const key of Object.values(GC_KINDS)) {
+      kinds[key] = new LogHistogram();
     }
+    return kinds;
+  }
 
-    // Set options with defaults
-    /** @type {string} Label for this diagnostic session */
-    this.name = options.name;
-    /** @type {number} Sampling interval in milliseconds */
-    this.interval = options.interval || 5000;
+  /**
+   * Records the pause duration of each gc entry
+   * @private
+   * @param {Array} entries - Performance entries of type gc
+   */
+  _record(entries) {
+    for (const entry of entries) {
+      // Node 16+ moved the kind into `detail`; the top-level field is deprecated
+      const kind = entry.detail ? entry.detail.kind : entry.kind;
+      this.all.record(entry.duration);
+      const histogram = this.byKind[GC_KINDS[kind]];
+      if (histogram) {
+        histogram.record(entry.duration);
+      }
+    }
+  }
+
+  /**
+   * Starts observing garbage collections
+   */
+  start() {
+    if (this.observer || typeof PerformanceObserver !== 'function') return;
+
+    this.observer = safeExecute(() => {
+      const observer = new PerformanceObserver(list => this._record(list.getEntries()));
+      observer.observe({ entryTypes: ['gc'] });
+      return observer;
+    });
+  }
+
+  /**
+   * Stops observing garbage collections, keeping entries that have not been delivered yet
+   */
+  stop() {
+    if (!this.observer) return;
+
+    const observer = this.observer;
+    this.observer = null;
+    safeExecute(() => {
+      if (typeof observer.takeRecords === 'function') {
+        this._record(observer.takeRecords());
+      }
+    });
+    safeExecute(() => observer.disconnect());
+  }
+
+  /**
+   * Clears all recorded collections
+   */
+  reset() {
+    this.all = new LogHistogram();
+    this.byKind = this._createKinds();
+    this.restored = null;
+  }
+
+  /**
+   * Summarizes a histogram of pause durations
+   * @private
+   * @param {LogHistogram} histogram - Pause durations in milliseconds
+   * @returns {{count: number, total: number, average: number, max: number, p50: number, p90: number, p99: number, p999: number}}
+   */
+  _summarize(histogram) {
+    const summary = {
+      count: histogram.count,
+      total: histogram.stats.sum,
+      average: histogram.stats.mean,
+      max: histogram.count > 0 ? histogram.stats.max : 0
+    };
+    for (const [key, p] of Object.entries(LATENCY_PERCENTILES)) {
+      summary[key] = histogram.percentile(p);
+    }
+    return summary;
+  }
+
+  /**
+   * Calculates pause statistics overall and per collection kind
+   * @returns {{count: number, total: number, average: number, max: number, p50: number, p90: number, p99: number, p999: number, byKind: object}} Pause statistics in milliseconds
+   */
+  getStats() {
+    if (this.restored) return this.restored;
+
+    const byKind = {};
+    for (const [key, histogram] of Object.entries(this.byKind)) {
+      byKind[key] = this._summarize(histogram);
+    }
+    return { ...this._summarize(this.all), byKind };
+  }
+}
+
+/**
+ * Tracks the active libuv handles and requests by resource type across samples
+ * @class ResourceTracker
+ */
+class ResourceTracker {
+  /**
+   * Creates a new active resource tracker
+   * @constructor
+   */
+  constructor() {
+    /** @type {number} Samples recorded so far */
+    this.samples = 0;
+    /** @type {Map<string, {first: number, peak: number, final: number, decreased: boolean}>} Counts by resource type */
+    this.types = new Map();
+  }
+
+  /**
+   * Counts the resources keeping the event loop alive, grouped by type
+   * @returns {Object<string, number>|null} Count per resource type, null when the runtime can't tell
+   */
+  static capture() {
+    if (typeof process.getActiveResourcesInfo !== 'function') return null;
+
+    return safeExecute(() => {
+      const counts = {};
+      for (const type of process.getActiveResourcesInfo()) {
+        counts[type] = (counts[type] || 0) + 1;
+      }
+      return counts;
+    });
+  }
+
+  /**
+   * Records the counts of one sample; a type missing from a sample counts as zero
+   * @param {Object<string, number>|null} counts - Count per resource type
+   */
+  add(counts) {
+    if (!counts) return;
+
+    this.samples++;
+    for (const type of Object.keys(counts)) {
+      if (!this.types.has(type)) {
+        // Growth is measured from the first appearance, so one late handle isn't a trend
+        this.types.set(type, { first: counts[type], peak: 0, final: 0, decreased: false });
+      }
+    }
+    for (const [type, entry] of this.types) {
+      const count = counts[type] || 0;
+      if (count < entry.final) entry.decreased = true;
+      entry.peak = Math.max(entry.peak, count);
+      entry.final = count;
+    }
+  }
+
+  /**
+   * Clears all recorded counts
+   */
+  reset() {
+    this.samples = 0;
+    this.types.clear();
+  }
+
+  /**
+   * Summarizes the counts per resource type
+   * @returns {{samples: number, byType: Object<string, {peak: number, final: number, growing: boolean}>, growing: string[]}|null} Counts per type, null without samples
+   */
+  getStats() {
+    if (this.samples === 0) return null;
+
+    const byType = {};
+    const growing = [];
+    for (const [type, entry] of [...this.types].sort(([a], [b]) => a.localeCompare(b))) {
+      // Too few samples can't tell a leak from a burst
+      const grew =
+        this.samples >= MIN_TREND_POINTS && !entry.decreased && entry.final > entry.first;
+      byType[type] = { peak: entry.peak, final: entry.final, growing: grew };
+      if (grew) growing.push(type);
+    }
+    return { samples: this.samples, byType, growing };
+  }
+}
+
+/**
+ * Counts async resources created and destroyed per type with async_hooks, and remembers where the
+ * ones still alive were created so old ones can be reported as suspected leaks
+ * @class AsyncTracker
+ */
+class AsyncTracker {
+  /**
+   * Creates a new async resource tracker
+   * @constructor
+   * @param {object} [options={}] - Tracking options
+   * @param {number} [options.maxAge=10000] - Age in milliseconds after which a live resource is a suspect
+   * @param {number} [options.maxStacks=1000] - Live resources whose creation stack is kept at a time
+   * @param {number} [options.maxTracked=100000] - Live resources followed at a time, later ones are only counted
+   * @param {number} [options.top=10] - Suspected leak sites listed in the report
+   */
+  constructor(options = {}) {
+    /** @type {number} Age in milliseconds after which a live resource is a suspect */
+    this.maxAge = options.maxAge === undefined ? DEFAULT_ASYNC_MAX_AGE : options.maxAge;
+    /** @type {number} Live resources whose creation stack is kept at a time */
+    this.maxStacks = options.maxStacks || DEFAULT_ASYNC_MAX_STACKS;
+    /** @type {number} Live resources followed at a time, later ones are only counted */
+    this.maxTracked = options.maxTracked || DEFAULT_ASYNC_MAX_TRACKED;
+    /** @type {number} Suspected leak sites listed in the report */
+    this.top = options.top || DEFAULT_ASYNC_TOP;
+    /** @type {AsyncHook|null} Installed hook */
+    this.hook = null;
+    /** @type {Map<string, {created: number, destroyed: number}>} Lifecycle counts by resource type */
+    this.counts = new Map();
+    /** @type {Map<number, {type: string, timestamp: number, stack: string[]|null}>} Unsettled resources by async id */
+    this.live = new Map();
+    /** @type {number} Entries of `live` holding a stack */
+    this.stacks = 0;
+    /** @type {number} Resources created while `live` was full, whose end can't be counted */
+    this.untracked = 0;
+  }
+
+  /**
+   * Captures the creation stack of a resource, without the async_hooks and ak-diagnostic frames
+   * @private
+   * @returns {string[]} Stack frames, innermost first
+   */
+  _captureStack() {
+    const limit = Error.stackTraceLimit;
+    Error.stackTraceLimit = ASYNC_CAPTURED_FRAMES;
+    const stack = new Error().stack || '';
+    Error.stackTraceLimit = limit;
+
+    return stack
+      .split('\n')
+      .slice(1)
+      .map(line => line.trim().replace(/^at /, ''))
+      .filter(
+        frame =>
+          !frame.includes(__filename) &&
+          !NODE_INTERNAL_FRAME.test(frame) &&
+          !frame.endsWith('(<anonymous>)')
+      )
+      .slice(0, ASYNC_KEPT_FRAMES);
+  }
+
+  /**
+   * Records the creation of a resource
+   * @private
+   * @param {number} asyncId - Id of the new resource
+   * @param {string} type - Resource type, e.g. PROMISE or Timeout
+   */
+  _init(asyncId, type) {
+    const counts = this.counts.get(type) || { created: 0, destroyed: 0 };
+    counts.created++;
+    this.counts.set(type, counts);
+
+    if (this.live.size >= this.maxTracked) {
+      this.untracked++;
+      return;
+    }
+    const stack = this.stacks < this.maxStacks ? this._captureStack() : null;
+    if (stack) this.stacks++;
+    this.live.set(asyncId, { type, timestamp: Date.now(), stack });
+  }
+
+  /**
+   * Forgets a resource that can no longer leak: destroyed, or a promise that settled.
+   * A settled promise counts as destroyed right away, so it isn't held until it is collected
+   * @private
+   * @param {number} asyncId - Id of the resource
+   */
+  _settle(asyncId) {
+    const entry = this.live.get(asyncId);
+    if (!entry) return;
+
+    this.counts.get(entry.type).destroyed++;
+    this.live.delete(asyncId);
+    if (entry.stack) this.stacks--;
+  }
+
+  /**
+   * Starts tracking; resources created earlier aren't counted
+   */
+  start() {
+    if (this.hook) return;
+
+    // An exception thrown from a hook would end the process, so every callback is guarded
+    this.hook = safeExecute(() =>
+      asyncHooks
+        .createHook({
+          init: (asyncId, type) => safeExecute(() => this._init(asyncId, type)),
+          destroy: asyncId => safeExecute(() => this._settle(asyncId)),
+          promiseResolve: asyncId => safeExecute(() => this._settle(asyncId))
+        })
+        .enable()
+    );
+  }
+
+  /**
+   * Stops tracking, keeping what was recorded for the report
+   */
+  stop() {
+    if (!this.hook) return;
+
+    const hook = this.hook;
+    this.hook = null;
+    safeExecute(() => hook.disable());
+  }
+
+  /**
+   * Clears all recorded resources
+   */
+  reset() {
+    this.counts.clear();
+    this.live.clear();
+    this.stacks = 0;
+    this.untracked = 0;
+  }
+
+  /**
+   * Counts resources per type and groups the unsettled ones older than maxAge by creation site
+   * @param {number} [now=Date.now()] - Timestamp ages are measured at
+   * @returns {{maxAge: number, byType: object, untracked: number, suspects: object[]}} Counts per type and the top suspected leak sites
+   */
+  getStats(now = Date.now()) {
+    const byType = {};
+    for (const [type, counts] of [...this.counts].sort(([a], [b]) => a.localeCompare(b))) {
+      byType[type] = { ...counts, live: 0 };
+    }
+
+    const sites = new Map();
+    for (const entry of this.live.values()) {
+      byType[entry.type].live++;
+      if (!entry.stack || now - entry.timestamp < this.maxAge) continue;
+
+      const site = entry.stack.length > 0 ? entry.stack[0] : '(unknown)';
+      const key = `${entry.type} ${site}`;
+      const suspect = sites.get(key) || {
+        type: entry.type,
+        site,
+        stack: entry.stack,
+        count: 0,
+        oldest: entry.timestamp
+      };
+      suspect.count++;
+      suspect.oldest = Math.min(suspect.oldest, entry.timestamp);
+      sites.set(key, suspect);
+    }
+
+    const suspects = [...sites.values()]
+      .sort((a, b) => b.count - a.count || a.oldest - b.oldest)
+      .slice(0, this.top)
+      .map(({ oldest, ...suspect }) => ({ ...suspect, age: toMsMetric(now - oldest) }));
+
+    return { maxAge: toMsMetric(this.maxAge), byType, untracked: this.untracked, suspects };
+  }
+}
+
+/**
+ * Samples the heap, event loop utilization and CPU of the worker thread it runs in and posts them
+ * to the main thread, where Diagnostics#attachWorker() picks them up
+ * @class WorkerReporter
+ */
+class WorkerReporter {
+  /**
+   * Creates a new worker reporter
+   * @constructor
+   * @param {object} [options={}] - Reporter options
+   * @param {number} [options.interval=1000] - Milliseconds between two samples
+   */
+  constructor(options = {}) {
+    /** @type {number} Milliseconds between two samples */
+    this.interval = options.interval || DEFAULT_WORKER_INTERVAL;
+    /** @type {BroadcastChannel|null} Channel the samples are posted on */
+    this.channel = null;
+    /** @type {NodeJS.Timeout|null} Interval handle for periodic sampling */
+    this.timer = null;
+    /** @type {object|null} Cumulative event loop utilization at the previous sample */
+    this.lastUtilization = null;
+    /** @type {{user: number, system: number}|null} Thread CPU time at the previous sample */
+    this.lastCpu = null;
+    /** @type {number|null} Timestamp of the previous sample */
+    this.lastTimestamp = null;
+  }
+
+  /**
+   * Reads the CPU time of this thread where the runtime exposes it
+   * @private
+   * @returns {{user: number, system: number}|null} CPU time in microseconds
+   */
+  _threadCpuUsage() {
+    return typeof process.threadCpuUsage === 'function'
+      ? safeExecute(() => process.threadCpuUsage())
+      : null;
+  }
+
+  /**
+   * Starts posting samples, beginning with one right away
+   * @returns {WorkerReporter} Returns this instance for method chaining
+   * @throws {Error} When called on the main thread
+   */
+  start() {
+    if (this.channel) return this;
+    if (isMainThread) {
+      throw new Error('Diagnostics.reportFromWorker() must be called inside a worker thread');
+    }
+
+    this.channel = new BroadcastChannel(WORKER_CHANNEL);
+    // Reporting must never keep a finished worker alive
+    safeExecute(() => this.channel.unref());
+    this.lastUtilization = performance.eventLoopUtilization();
+    this.lastCpu = this._threadCpuUsage();
+    this.lastTimestamp = Date.now();
+    this.send();
+    this.timer = setInterval(() => this.send(), this.interval);
+    this.timer.unref();
+    return this;
+  }
+
+  /**
+   * Posts one sample covering the time since the previous one
+   */
+  send() {
+    if (!this.channel) return;
+
+    const timestamp = Date.now();
+    const elapsed = timestamp - this.lastTimestamp;
+    const memory = process.memoryUsage();
+    const utilization = performance.eventLoopUtilization();
+    const delta = performance.eventLoopUtilization(utilization, this.lastUtilization);
+    const cpu = this._threadCpuUsage();
+
+    // Without per-thread CPU time, time spent outside the idle event loop approximates it
+    let cpuPercentage = elapsed > 0 ? delta.utilization * 100 : null;
+    if (cpu && this.lastCpu && elapsed > 0) {
+      const used = cpu.user + cpu.system - this.lastCpu.user - this.lastCpu.system;
+      cpuPercentage = (used / 1000 / elapsed) * 100;
+    }
+
+    this.lastUtilization = utilization;
+    this.lastCpu = cpu;
+    this.lastTimestamp = timestamp;
+    safeExecute(() =>
+      this.channel.postMessage({
+        type: 'sample',
+        threadId,
+        timestamp,
+        heapUsed: memory.heapUsed,
+        heapTotal: memory.heapTotal,
+        external: memory.external,
+        eventLoopUtilization: elapsed > 0 ? delta.utilization * 100 : null,
+        cpu: cpuPercentage,
+        cpuSource: cpu ? 'thread' : 'eventLoop'
+      })
+    );
+  }
+
+  /**
+   * Posts a final sample and stops reporting
+   */
+  stop() {
+    if (!this.channel) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.send();
+    const channel = this.channel;
+    this.channel = null;
+    safeExecute(() => channel.close());
+  }
+}
+
+/**
+ * Collects the samples attached worker threads post, with their start and exit times,
+ * and aggregates the live workers at every main thread sample
+ * @class WorkerMonitor
+ */
+class WorkerMonitor {
+  /**
+   * Creates a new worker monitor
+   * @constructor
+   */
+  constructor() {
+    /** @type {BroadcastChannel|null} Channel the workers post on, opened by the first attach */
+    this.channel = null;
+    /** @type {Map<number, object>} Attached workers by thread id */
+    this.threads = new Map();
+    /** @type {Array<{type: string, timestamp: number, threadId: number, name: string}>} Worker start and exit events */
+    this.events = [];
+    /** @type {number} Largest number of attached workers alive at the same time */
+    this.peakConcurrent = 0;
+    /** @type {{heapUsed: RunningStats, cpu: RunningStats, eventLoopUtilization: RunningStats}} Live workers combined at each main thread sample */
+    this.aggregate = this._createAggregate();
+  }
+
+  /**
+   * Creates empty aggregates over the live workers
+   * @private
+   * @returns {{heapUsed: RunningStats, cpu: RunningStats, eventLoopUtilization: RunningStats}}
+   */
+  _createAggregate() {
+    return {
+      heapUsed: new RunningStats(),
+      cpu: new RunningStats(),
+      eventLoopUtilization: new RunningStats()
+    };
+  }
+
+  /**
+   * Number of attached workers that have not exited
+   * @returns {number}
+   */
+  get alive() {
+    let count = 0;
+    for (const thread of this.threads.values()) {
+      if (thread.endTime === null) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Starts tracking a worker
+   * @param {import('worker_threads').Worker} worker - Running worker
+   * @param {object} [options={}] - Attach options
+   * @param {string} [options.name] - Label in the report (default: worker-<threadId>)
+   * @throws {Error} When the worker is not running
+   */
+  attach(worker, options = {}) {
+    const id = worker ? worker.threadId : undefined;
+    if (typeof id !== 'number' || id < 0) {
+      throw new Error('attachWorker() requires a running Worker');
+    }
+    if (this.threads.has(id)) return;
+
+    const timestamp = Date.now();
+    const thread = {
+      threadId: id,
+      name: options.name || `worker-${id}`,
+      worker,
+      startTime: timestamp,
+      endTime: null,
+      exitCode: null,
+      samples: 0,
+      cpuSource: null,
+      last: null,
+      heapUsed: new RunningStats(),
+      cpu: new RunningStats(),
+      eventLoopUtilization: new RunningStats(),
+      onExit: null
+    };
+    thread.onExit = exitCode => {
+      thread.endTime = Date.now();
+      thread.exitCode = exitCode;
+      this.events.push({
+        type: 'exit',
+        timestamp: thread.endTime,
+        threadId: id,
+        name: thread.name,
+        exitCode
+      });
+    };
+    worker.once('exit', thread.onExit);
+    this.threads.set(id, thread);
+    this.events.push({ type: 'start', timestamp, threadId: id, name: thread.name });
+    this.peakConcurrent = Math.max(this.peakConcurrent, this.alive);
+
+    if (!this.channel) {
+      this.channel = new BroadcastChannel(WORKER_CHANNEL);
+      this.channel.onmessage = event => this.record(event.data);
+      safeExecute(() => this.channel.unref());
+    }
+  }
+
+  /**
+   * Records a sample posted by a worker; samples of workers that aren't attached are ignored
+   * @param {object} message - Sample posted by WorkerReporter
+   */
+  record(message) {
+    if (!message || message.type !== 'sample') return;
+    const thread = this.threads.get(message.threadId);
+    if (!thread) return;
+
+    thread.samples++;
+    thread.cpuSource = message.cpuSource;
+    thread.last = message;
+    thread.heapUsed.add(message.heapUsed, message.timestamp);
+    if (message.cpu !== null) thread.cpu.add(message.cpu, message.timestamp);
+    if (message.eventLoopUtilization !== null) {
+      thread.eventLoopUtilization.add(message.eventLoopUtilization, message.timestamp);
+    }
+  }
+
+  /**
+   * Combines the latest sample of every live worker: heap and CPU are summed,
+   * event loop utilization is averaged
+   * @param {number} timestamp - Timestamp of the main thread sample
+   */
+  sample(timestamp) {
+    let heapUsed = 0;
+    let cpu = 0;
+    let utilization = 0;
+    let count = 0;
+    for (const thread of this.threads.values()) {
+      if (thread.endTime !== null || !thread.last) continue;
+      count++;
+      heapUsed += thread.last.heapUsed;
+      cpu += thread.last.cpu || 0;
+      utilization += thread.last.eventLoopUtilization || 0;
+    }
+    if (count === 0) return;
+
+    this.aggregate.heapUsed.add(heapUsed, timestamp);
+    this.aggregate.cpu.add(cpu, timestamp);
+    this.aggregate.eventLoopUtilization.add(utilization / count, timestamp);
+  }
+
+  /**
+   * Number of attached workers alive at a point in time
+   * @param {number} timestamp - Point in time
+   * @returns {number}
+   */
+  aliveAt(timestamp) {
+    let count = 0;
+    for (const thread of this.threads.values()) {
+      if (
+        thread.startTime <= timestamp &&
+        (thread.endTime === null || thread.endTime > timestamp)
+      ) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Stops tracking every worker and forgets their samples
+   */
+  reset() {
+    for (const thread of this.threads.values()) {
+      thread.worker.removeListener('exit', thread.onExit);
+    }
+    this.threads = new Map();
+    this.events = [];
+    this.peakConcurrent = 0;
+    this.aggregate = this._createAggregate();
+    if (this.channel) {
+      const channel = this.channel;
+      this.channel = null;
+      safeExecute(() => channel.close());
+    }
+  }
+
+  /**
+   * Summarizes every attached worker and their aggregate
+   * @returns {object|null} Worker statistics, null when no worker was attached
+   */
+  getStats() {
+    if (this.threads.size === 0) return null;
+
+    return {
+      count: this.threads.size,
+      peakConcurrent: this.peakConcurrent,
+      aggregate: {
+        samples: this.aggregate.heapUsed.count,
+        heapUsed: toByteSection(this.aggregate.heapUsed.toStats()),
+        cpu: toPercentSection(this.aggregate.cpu.toStats()),
+        eventLoopUtilization: toPercentSection(this.aggregate.eventLoopUtilization.toStats())
+      },
+      threads: [...this.threads.values()].map(thread => {
+        const duration = (thread.endTime === null ? Date.now() : thread.endTime) - thread.startTime;
+        return {
+          threadId: thread.threadId,
+          name: thread.name,
+          state: thread.endTime === null ? 'running' : 'exited',
+          startTime: thread.startTime,
+          endTime: thread.endTime,
+          exitCode: thread.exitCode,
+          duration: { ms: duration, human: formatDuration(duration) },
+          samples: thread.samples,
+          heapUsed: toByteSection(thread.heapUsed.toStats()),
+          cpu: toPercentSection(thread.cpu.toStats()),
+          cpuSource: thread.cpuSource,
+          eventLoopUtilization: toPercentSection(thread.eventLoopUtilization.toStats())
+        };
+      }),
+      events: this.events.map(event => ({ ...event }))
+    };
+  }
+}
+
+/**
+ * Cluster mode: workers send every sample to the primary over IPC, and the primary keeps
+ * per-worker statistics, totals across the live workers and their start and exit events
+ * @class ClusterMonitor
+ */
+class ClusterMonitor {
+  /**
+   * Creates a new cluster monitor for the role of the current process
+   * @constructor
+   */
+  constructor() {
+    /** @type {boolean} Whether this process is a cluster worker sending its samples */
+    this.isWorker = cluster.isWorker;
+    /** @type {boolean} Whether the primary is listening to its workers */
+    this.listening = false;
+    /** @type {Map<number, object>} Workers that sent samples, by cluster worker id */
+    this.workers = new Map();
+    /** @type {Array<{type: string, timestamp: number, id: number, pid: number}>} Worker start and exit events */
+    this.events = [];
+    /** @type {{rss: RunningStats, heapUsed: RunningStats, cpu: RunningStats}} Live workers summed at each primary sample */
+    this.totals = this._createTotals();
+    this._onMessage = (worker, message) => this.record(worker, message);
+    this._onExit = (worker, code, signal) => this._exit(worker, code, signal);
+  }
+
+  /**
+   * Creates empty totals across the live workers
+   * @private
+   * @returns {{rss: RunningStats, heapUsed: RunningStats, cpu: RunningStats}}
+   */
+  _createTotals() {
+    return { rss: new RunningStats(), heapUsed: new RunningStats(), cpu: new RunningStats() };
+  }
+
+  /**
+   * Starts listening to worker samples on the primary; does nothing in a worker
+   */
+  start() {
+    if (this.isWorker || this.listening) return;
+    this.listening = true;
+    cluster.on('message', this._onMessage);
+    cluster.on('exit', this._onExit);
+  }
+
+  /**
+   * Stops listening to worker samples
+   */
+  stop() {
+    if (!this.listening) return;
+    this.listening = false;
+    cluster.removeListener('message', this._onMessage);
+    cluster.removeListener('exit', this._onExit);
+  }
+
+  /**
+   * Sends a sample to the primary; does nothing on the primary or once the IPC channel is closed
+   * @param {string} name - Session name in the worker
+   * @param {object} sample - Sample as passed to `sample` listeners
+   */
+  publish(name, sample) {
+    if (!this.isWorker || !process.connected) return;
+    safeExecute(() =>
+      process.send(
+        {
+          type: CLUSTER_SAMPLE,
+          name,
+          timestamp: sample.timestamp,
+          rss: sample.memory.rss,
+          heapUsed: sample.memory.heapUsed,
+          heapTotal: sample.memory.heapTotal,
+          external: sample.memory.external,
+          cpu: Number.isFinite(sample.metrics.cpu) ? sample.metrics.cpu : null,
+          eventLoopLag: sample.eventLoopLag
+        },
+        // A send failing because the primary went away must not surface as an error event
+        () => {}
+      )
+    );
+  }
+
+  /**
+   * Records a sample sent by a worker; other messages are ignored
+   * @param {import('cluster').Worker} worker - Sending worker
+   * @param {object} message - IPC message
+   */
+  record(worker, message) {
+    if (!message || message.type !== CLUSTER_SAMPLE) return;
+
+    let entry = this.workers.get(worker.id);
+    if (!entry) {
+      entry = {
+        id: worker.id,
+        pid: worker.process.pid,
+        name: message.name,
+        startTime: message.timestamp,
+        endTime: null,
+        exitCode: null,
+        signal: null,
+        samples: 0,
+        last: null,
+        rss: new RunningStats(),
+        heapUsed: new RunningStats(),
+        cpu: new RunningStats(),
+        eventLoopLag: new RunningStats()
+      };
+      this.workers.set(worker.id, entry);
+      this.events.push({ type: 'start', timestamp: entry.startTime, id: entry.id, pid: entry.pid });
+    }
+
+    entry.samples++;
+    entry.last = message;
+    entry.rss.add(message.rss, message.timestamp);
+    entry.heapUsed.add(message.heapUsed, message.timestamp);
+    entry.cpu.add(message.cpu, message.timestamp);
+    entry.eventLoopLag.add(message.eventLoopLag);
+  }
+
+  /**
+   * Marks a worker as exited
+   * @private
+   * @param {import('cluster').Worker} worker - Exited worker
+   * @param {number|null} code - Exit code
+   * @param {string|null} signal - Terminating signal
+   */
+  _exit(worker, code, signal) {
+    const entry = this.workers.get(worker.id);
+    if (!entry || entry.endTime !== null) return;
+    entry.endTime = Date.now();
+    entry.exitCode = code;
+    entry.signal = signal || null;
+    this.events.push({
+      type: 'exit',
+      timestamp: entry.endTime,
+      id: entry.id,
+      pid: entry.pid,
+      exitCode: code,
+      signal: entry.signal
+    });
+  }
+
+  /**
+   * Sums the latest sample of every live worker
+   * @param {number} timestamp - Timestamp of the primary's sample
+   */
+  sample(timestamp) {
+    let rss = 0;
+    let heapUsed = 0;
+    let cpu = 0;
+    let count = 0;
+    for (const entry of this.workers.values()) {
+      if (entry.endTime !== null) continue;
+      count++;
+      rss += entry.last.rss;
+      heapUsed += entry.last.heapUsed;
+      cpu += entry.last.cpu || 0;
+    }
+    if (count === 0) return;
+
+    this.totals.rss.add(rss, timestamp);
+    this.totals.heapUsed.add(heapUsed, timestamp);
+    this.totals.cpu.add(cpu, timestamp);
+  }
+
+  /**
+   * Forgets every worker and their samples
+   */
+  reset() {
+    this.workers = new Map();
+    this.events = [];
+    this.totals = this._createTotals();
+  }
+
+  /**
+   * Summarizes every worker, the cluster totals and the worst worker per metric
+   * @returns {object|null} Cluster statistics, null when no worker sent a sample
+   */
+  getStats() {
+    if (this.workers.size === 0) return null;
+
+    const workers = [...this.workers.values()].map(entry => ({
+      id: entry.id,
+      pid: entry.pid,
+      name: entry.name,
+      state: entry.endTime === null ? 'running' : 'exited',
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      exitCode: entry.exitCode,
+      signal: entry.signal,
+      samples: entry.samples,
+      rss: toByteSection(entry.rss.toStats()),
+      heapUsed: toByteSection(entry.heapUsed.toStats()),
+      cpu: toPercentSection(entry.cpu.toStats()),
+      eventLoopLag: {
+        average: toMsMetric(entry.eventLoopLag.mean),
+        max: toMsMetric(entry.eventLoopLag.count > 0 ? entry.eventLoopLag.max : 0)
+      }
+    }));
+
+    // The worker with the highest value of each metric, with that value
+    const worst = (pick, toMetric) => {
+      let found = null;
+      for (const worker of workers) {
+        if (!found || pick(worker) > pick(found)) found = worker;
+      }
+      return { id: found.id, pid: found.pid, value: toMetric(pick(found)) };
+    };
+    const toPercent = percentage => ({ percentage, human: `${percentage.toFixed(2)}%` });
+
+    return {
+      workers: workers.length,
+      alive: workers.filter(worker => worker.state === 'running').length,
+      totals: {
+        samples: this.totals.rss.count,
+        rss: toByteSection(this.totals.rss.toStats()),
+        heapUsed: toByteSection(this.totals.heapUsed.toStats()),
+        cpu: toPercentSection(this.totals.cpu.toStats())
+      },
+      worst: {
+        rss: worst(
+          worker => worker.rss.peak.bytes,
+          bytes => ({ bytes, human: formatBytes(bytes) })
+        ),
+        heapUsed: worst(
+          worker => worker.heapUsed.peak.bytes,
+          bytes => ({ bytes, human: formatBytes(bytes) })
+        ),
+        cpu: worst(worker => worker.cpu.average.percentage, toPercent),
+        eventLoopLag: worst(worker => worker.eventLoopLag.max.ms, toMsMetric)
+      },
+      byWorker: workers,
+      events: this.events.map(event => ({ ...event }))
+    };
+  }
+}
+
+/**
+ * Writes heap snapshots when memory alerts fire, within a cooldown, count and disk budget
+ * @class HeapSnapshotCapture
+ */
+class HeapSnapshotCapture {
+  /**
+   * Creates a new heap snapshot capturer
+   * @constructor
+   * @param {object} [options={}] - Capture options
+   * @param {string} [options.directory=os.tmpdir()] - Directory the snapshots are written to
+   * @param {number} [options.cooldown=300000] - Minimum milliseconds between two snapshots
+   * @param {number} [options.maxCount=1] - Maximum number of snapshots written
+   * @param {number} [options.maxBytes=1073741824] - Disk budget in bytes for all snapshots
+   */
+  constructor(options = {}) {
+    /** @type {string} Directory the snapshots are written to */
+    this.directory = options.directory || os.tmpdir();
+    /** @type {number} Minimum milliseconds between two snapshots */
+    this.cooldown = options.cooldown === undefined ? DEFAULT_SNAPSHOT_COOLDOWN : options.cooldown;
+    /** @type {number} Maximum number of snapshots written */
+    this.maxCount = options.maxCount || DEFAULT_SNAPSHOT_MAX_COUNT;
+    /** @type {number} Disk budget in bytes for all snapshots */
+    this.maxBytes = options.maxBytes || DEFAULT_SNAPSHOT_MAX_BYTES;
+    /** @type {Array<{path: string, timestamp: number, bytes: number}>} Snapshots written so far */
+    this.snapshots = [];
+    /** @type {number} Bytes written to disk so far */
+    this.bytesWritten = 0;
+    /** @type {number|null} Timestamp of the last snapshot */
+    this.lastCapture = null;
+    /** @type {Promise<void>|null} Creation of the directory, started by prepare() */
+    this.preparing = null;
+    /** @type {boolean} Whether creating the directory has finished, successfully or not */
+    this.prepared = false;
+  }
+
+  /**
+   * Creates the snapshot directory ahead of the first snapshot, once
+   * @returns {Promise<void>} Settles when the directory exists or could not be created
+   */
+  prepare() {
+    if (!this.preparing) {
+      this.preparing = fs.promises
+        .mkdir(this.directory, { recursive: true })
+        .catch(() => {})
+        .then(() => {
+          this.prepared = true;
+        });
+    }
+    return this.preparing;
+  }
+
+  /**
+   * Checks whether another snapshot fits within the cooldown, count and disk budget
+   * @param {number} estimatedBytes - Expected size of the next snapshot
+   * @param {number} [now=Date.now()] - Current timestamp
+   * @returns {boolean} Whether a snapshot may be written
+   */
+  canCapture(estimatedBytes, now = Date.now()) {
+    if (this.snapshots.length >= this.maxCount) return false;
+    if (this.lastCapture !== null && now - this.lastCapture < this.cooldown) return false;
+    return this.bytesWritten + estimatedBytes <= this.maxBytes;
+  }
+
+  /**
+   * Writes a heap snapshot if the budget allows it
+   * @param {string} name - Diagnostic session name, used in the file name
+   * @param {number} estimatedBytes - Expected size of the snapshot, usually the current heap size
+   * @returns {string|null} Path of the written snapshot, or null when skipped or failed
+   */
+  capture(name, estimatedBytes) {
+    const now = Date.now();
+    if (!this.canCapture(estimatedBytes, now)) return null;
+
+    const safeName = String(name).replace(/[^a-zA-Z0-9_-]+/g, '_');
+    const file = path.join(this.directory, `${safeName}-${process.pid}-${now}.heapsnapshot`);
+    // Heap snapshots are inherently synchronous, the rest of the bookkeeping is not
+    const written = safeExecute(() => v8.writeHeapSnapshot(file));
+    if (!written && !this.prepared && this.preparing) {
+      // The directory is still being created, the snapshot follows as soon as it exists
+      this.preparing.then(() => this.capture(name, estimatedBytes));
+      return null;
+    }
+    // Count the attempt even if writing fails so a broken directory isn't retried every sample
+    this.lastCapture = now;
+    if (!written) return null;
+
+    return safeExecute(() => {
+      // The budget counts the estimate until the actual size is known
+      const snapshot = { path: written, timestamp: now, bytes: estimatedBytes };
+      this.bytesWritten += snapshot.bytes;
+      this.snapshots.push(snapshot);
+      fs.promises.stat(written).then(
+        stats => {
+          this.bytesWritten += stats.size - snapshot.bytes;
+          snapshot.bytes = stats.size;
+        },
+        () => {}
+      );
+      return written;
+    });
+  }
+}
+
+/** @type {Set<ExitFlusher>} Flushers with installed hooks, across every session in the process */
+const installedFlushers = new Set();
+
+/**
+ * Writes the report of a session to disk when the process exits, is signalled or crashes,
+ * then lets the process end exactly as it would have without the hooks
+ * @class ExitFlusher
+ */
+class ExitFlusher {
+  /**
+   * Creates a new exit flusher
+   * @constructor
+   * @param {Diagnostics} diagnostics - Session whose report is written
+   * @param {object} [options={}] - Flush options
+   * @param {string} [options.path] - Report path (default: ./diagnostics-<name>-<pid>.json)
+   * @param {function(object): string} [options.serialize] - Turns the report into file contents (default: JSON)
+   */
+  constructor(diagnostics, options = {}) {
+    const safeName = String(diagnostics.name).replace(/[^a-zA-Z0-9_-]+/g, '_');
+    /** @type {Diagnostics} Session whose report is written */
+    this.diagnostics = diagnostics;
+    /** @type {string} Absolute report path, resolved now so a later chdir doesn't move it */
+    this.path = path.resolve(options.path || `diagnostics-${safeName}-${process.pid}.json`);
+    /** @type {function(object): string} Turns the report into file contents */
+    this.serialize = options.serialize || (report => JSON.stringify(report, null, 2));
+    /** @type {boolean} Whether the process hooks are installed */
+    this.installed = false;
+    /** @type {boolean} Whether the report has been written */
+    this.flushed = false;
+    /** @type {object[]} Signals and fatal errors the application handled itself, oldest first */
+    this.handled = [];
+
+    this._onExit = code => this.flush({ reason: 'exit', exitCode: code });
+    this._onFatal = (error, origin) => {
+      const termination = {
+        reason: origin === 'unhandledRejection' ? 'unhandledRejection' : 'uncaughtException',
+        error: ExitFlusher.describeError(error)
+      };
+      // With an `uncaughtException` handler the process survives unless that handler exits
+      if (process.listenerCount('uncaughtException') > 0) {
+        this._recordHandled(termination);
+      } else {
+        this.flush(termination);
+      }
+    };
+    this._onSignal = {};
+    for (const signal of TERMINATING_SIGNALS) {
+      this._onSignal[signal] = () => {
+        // The application handles this signal itself, its own exit path will flush the report.
+        // Hooks of other sessions don't count, they leave the signal to the default action too.
+        const own = new Set([...installedFlushers].map(flusher => flusher._onSignal[signal]));
+        if (process.listeners(signal).some(listener => !own.has(listener))) {
+          this._recordHandled({ reason: 'signal', signal });
+          return;
+        }
+        this.flush({ reason: 'signal', signal });
+        this.uninstall();
+        // Re-raise so the process dies by the signal, as it would have without the hook; the
+        // last session to flush does it so every session gets to write its report first
+        if (installedFlushers.size === 0) {
+          process.kill(process.pid, signal);
+        }
+      };
+    }
+  }
+
+  /**
+   * Converts a thrown value into a serializable description
+   * @static
+   * @param {any} error - Error, or any other thrown or rejected value
+   * @returns {{name: string, message: string, stack: string|null}} Error description
+   */
+  static describeError(error) {
+    if (error instanceof Error) {
+      return { name: error.name, message: error.message, stack: error.stack || null };
+    }
+    return { name: typeof error, message: String(error), stack: null };
+  }
+
+  /**
+   * Hooks process exit, terminating signals and fatal errors
+   */
+  install() {
+    if (this.installed) return;
+    this.installed = true;
+    this.flushed = false;
+    this.handled = [];
+    installedFlushers.add(this);
+
+    process.on('exit', this._onExit);
+    // The monitor observes uncaught exceptions and, in the default `throw` mode, unhandled
+    // rejections without marking them handled, so the process still crashes as it would have
+    process.on('uncaughtExceptionMonitor', this._onFatal);
+    for (const signal of TERMINATING_SIGNALS) {
+      process.on(signal, this._onSignal[signal]);
+    }
+  }
+
+  /**
+   * Removes every process hook
+   */
+  uninstall() {
+    if (!this.installed) return;
+    this.installed = false;
+    installedFlushers.delete(this);
+
+    process.removeListener('exit', this._onExit);
+    process.removeListener('uncaughtExceptionMonitor', this._onFatal);
+    for (const signal of TERMINATING_SIGNALS) {
+      process.removeListener(signal, this._onSignal[signal]);
+    }
+  }
+
+  /**
+   * Remembers a signal or fatal error the application handled, since the process may go on
+   * running and later end for an unrelated reason
+   * @private
+   * @param {object} termination - What happened
+   */
+  _recordHandled(termination) {
+    this.handled.push({ ...termination, timestamp: Date.now() });
+    if (this.handled.length > MAX_HANDLED_TERMINATIONS) {
+      this.handled.shift();
+    }
+  }
+
+  /**
+   * Stops the session and synchronously writes its report, once
+   * @param {object} termination - Why the process is ending
+   * @returns {string|null} Path of the written report, or null when already written or failed
+   */
+  flush(termination) {
+    if (this.flushed) return null;
+    this.flushed = true;
+
+    return safeExecute(() => {
+      this.diagnostics.stop();
+      const report = this.diagnostics.report();
+      report.termination = { ...termination, timestamp: Date.now(), handled: this.handled };
+      // Nothing asynchronous runs once the process is exiting
+      fs.writeFileSync(this.path, this.serialize(report));
+      return this.path;
+    });
+  }
+}
+
+/** @type {function(Buffer): Promise<Buffer>} Promise-returning gunzip for reading rotated logs */
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Appends session records to an NDJSON file through a write stream, rotating it by size.
+ * Rotated files are numbered from the oldest (`samples.ndjson.1`, `.2`, ...) and optionally gzipped.
+ * @class SampleLog
+ */
+class SampleLog {
+  /**
+   * Creates a new sample log
+   * @constructor
+   * @param {object} options - Log options
+   * @param {string} options.path - Path of the active log file
+   * @param {number} [options.maxBytes] - Rotate once the active file would grow past this size
+   * @param {boolean} [options.gzip=false] - Whether to gzip rotated files
+   */
+  constructor(options) {
+    /** @type {string} Absolute path of the active log file */
+    this.path = path.resolve(options.path);
+    /** @type {number|null} Rotate once the active file would grow past this size */
+    this.maxBytes = options.maxBytes || null;
+    /** @type {boolean} Whether to gzip rotated files */
+    this.gzip = options.gzip === true;
+    /** @type {fs.WriteStream|null} Stream of the active file */
+    this.stream = null;
+    /** @type {number} Bytes in the active file */
+    this.bytes = 0;
+    /** @type {object|null} Session record repeated at the top of every new file */
+    this.header = null;
+    /** @type {string[]|null} Lines held back while a rotation is in progress */
+    this.queue = null;
+    /** @type {boolean} Whether close() was called during a rotation */
+    this.closing = false;
+    /** @type {number} Suffix of the next rotated file */
+    this.nextIndex = 1;
+    /** @type {string[]} Rotated files, oldest first, with their final (possibly gzipped) names */
+    this.rotated = [];
+  }
+
+  /**
+   * Opens the active file for appending and writes the session record
+   * @param {object} header - Session record, written first and repeated after every rotation
+   */
+  open(header) {
+    if (this.stream) return;
+    this.header = header;
+    this.closing = false;
+    const line = `${JSON.stringify(header)}\n`;
+    if (this.queue) {
+      // Reopened while the previous session's rotation or opening is still in progress
+      this.queue.push(line);
+      return;
+    }
+
+    // Records are held back until the directory exists and the files already in it are counted
+    this.queue = [line];
+    this._prepare()
+      .catch(() => {})
+      .then(() => safeExecute(() => this._resume(this.queue)));
+  }
+
+  /**
+   * Creates the log directory and picks up after the files left by earlier sessions
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _prepare() {
+    const directory = path.dirname(this.path);
+    await fs.promises.mkdir(directory, { recursive: true }).catch(() => {});
+    const base = path.basename(this.path);
+    for (const file of await fs.promises.readdir(directory).catch(() => [])) {
+      const match =
+        file.startsWith(`${base}.`) && /^(\d+)(\.gz)?$/.exec(file.slice(base.length + 1));
+      if (match) this.nextIndex = Math.max(this.nextIndex, Number(match[1]) + 1);
+    }
+    this.bytes = await fs.promises.stat(this.path).then(
+      stats => stats.size,
+      () => 0
+    );
+  }
+
+  /**
+   * Opens the stream of the active file and writes the lines held back while it was unavailable
+   * @private
+   * @param {string[]} lines - Lines to write first
+   */
+  _resume(lines) {
+    this._openStream();
+    this.queue = null;
+    for (const line of lines) {
+      this.bytes += Buffer.byteLength(line);
+      this.stream.write(line);
+    }
+    if (this.closing) this.close();
+  }
+
+  /**
+   * Appends a record, rotating first when it would not fit in the active file
+   * @param {object} record - Record with a `type` and `timestamp`
+   */
+  write(record) {
+    if (!this.stream && !this.queue) return;
+    const line = `${JSON.stringify(record)}\n`;
+
+    if (this.queue) {
+      this.queue.push(line);
+      return;
+    }
+    const size = Buffer.byteLength(line);
+    if (this.maxBytes && this.bytes > 0 && this.bytes + size > this.maxBytes) {
+      this.queue = [line];
+      this._rotate();
+      return;
+    }
+    this.bytes += size;
+    this.stream.write(line);
+  }
+
+  /**
+   * Writes a final record and closes the active file
+   * @param {object} [record] - Last record of the session
+   */
+  close(record) {
+    if (record) this.write(record);
+    if (this.queue) {
+      // The rotation in progress ends the stream once the queued lines are written
+      this.closing = true;
+      return;
+    }
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+  }
+
+  /**
+   * Opens a write stream on the active file
+   * @private
+   */
+  _openStream() {
+    this.stream = fs.createWriteStream(this.path, { flags: 'a' });
+    // A full disk or a removed directory must never crash the host application
+    this.stream.on('error', () => {});
+  }
+
+  /**
+   * Moves the active file aside once its stream is closed, then resumes on a fresh file
+   * @private
+   */
+  _rotate() {
+    const target = `${this.path}.${this.nextIndex++}`;
+    const stream = this.stream;
+    this.stream = null;
+
+    stream.on('close', () => {
+      fs.rename(this.path, target, error => {
+        if (!error) this._archive(target);
+
+        this.bytes = 0;
+        this._resume([`${JSON.stringify({ ...this.header, continued: true })}\n`, ...this.queue]);
+      });
+    });
+    stream.end();
+  }
+
+  /**
+   * Records a rotated file, gzipping it first when enabled
+   * @private
+   * @param {string} file - Rotated file
+   */
+  _archive(file) {
+    if (!this.gzip) {
+      this.rotated.push(file);
+      return;
+    }
+    const compressed = `${file}.gz`;
+    this.rotated.push(compressed);
+    pipeline(
+      fs.createReadStream(file),
+      zlib.createGzip(),
+      fs.createWriteStream(compressed),
+      error => {
+        if (!error) fs.unlink(file, () => {});
+      }
+    );
+  }
+
+  /**
+   * Reads every record of a log file, gzipped or not. A truncated last line is skipped.
+   * @static
+   * @param {string} file - Log file
+   * @returns {Promise<object[]>} Records in file order
+   */
+  static async read(file) {
+    let data = await fs.promises.readFile(file);
+    if (file.endsWith('.gz')) {
+      data = await gunzip(data);
+    }
+    const records = [];
+    for (const line of data.toString('utf8').split('\n')) {
+      if (!line.trim()) continue;
+      const record = safeExecute(() => JSON.parse(line));
+      if (record && typeof record.timestamp === 'number') records.push(record);
+    }
+    return records;
+  }
+}
+
+/**
+ * Aggregates the samples of every segment of the timeline that carries the same phase name
+ * @class PhaseStats
+ */
+class PhaseStats {
+  /**
+   * Creates empty statistics for a phase
+   * @constructor
+   * @param {string} name - Phase name
+   */
+  constructor(name) {
+    /** @type {string} Phase name */
+    this.name = name;
+    /** @type {number} Number of timeline segments with this name */
+    this.segments = 0;
+    /** @type {number|null} When the first segment started */
+    this.startTime = null;
+    /** @type {number|null} When the last segment ended */
+    this.endTime = null;
+    /** @type {number} Total milliseconds across segments */
+    this.duration = 0;
+    /** @type {number} Sum of heapUsed change across segments */
+    this.memoryDelta = 0;
+    /** @type {number} Sum of rss change across segments */
+    this.rssDelta = 0;
+    /** @type {number} CPU time in microseconds across segments */
+    this.cpuMicros = 0;
+    /** @type {RunningStats} heapUsed observed during the phase */
+    this.memory = new RunningStats();
+    /** @type {RunningStats} CPU percentages of samples taken during the phase */
+    this.cpu = new RunningStats();
+    /** @type {RunningStats} Event loop lag probes during the phase */
+    this.lag = new RunningStats();
+  }
+
+  /**
+   * Summarizes the phase for the report
+   * @returns {object} Phase report section
+   */
+  summarize() {
+    const memory = this.memory.toStats();
+    const cpuAverage = this.duration > 0 ? (this.cpuMicros / (this.duration * 1000)) * 100 : 0;
+    const cpuPeak = Math.max(this.cpu.count > 0 ? this.cpu.max : 0, cpuAverage);
+    const signedBytes = bytes => `${bytes < 0 ? '-' : '+'}${formatBytes(Math.abs(bytes))}`;
+
+    return {
+      name: this.name,
+      segments: this.segments,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      duration: toMsMetric(this.duration),
+      memory: {
+        delta: { bytes: this.memoryDelta, human: signedBytes(this.memoryDelta) },
+        rssDelta: { bytes: this.rssDelta, human: signedBytes(this.rssDelta) },
+        peak: { bytes: memory.peak, human: formatBytes(memory.peak) },
+        average: { bytes: memory.average, human: formatBytes(memory.average) },
+        low: { bytes: memory.low, human: formatBytes(memory.low) }
+      },
+      cpu: {
+        average: { percentage: cpuAverage, human: `${cpuAverage.toFixed(2)}%` },
+        peak: { percentage: cpuPeak, human: `${cpuPeak.toFixed(2)}%` }
+      },
+      eventLoop: {
+        average: toMsMetric(this.lag.mean),
+        max: toMsMetric(this.lag.count > 0 ? this.lag.max : 0)
+      }
+    };
+  }
+}
+
+/**
+ * Aggregates every timed run of an operation label
+ * @class OperationStats
+ */
+class OperationStats {
+  /**
+   * Creates empty statistics for an operation
+   * @constructor
+   * @param {string} name - Operation label
+   */
+  constructor(name) {
+    /** @type {string} Operation label */
+    this.name = name;
+    /** @type {number} Runs that threw or rejected */
+    this.errors = 0;
+    /** @type {LogHistogram} Duration of every run in milliseconds */
+    this.durations = new LogHistogram();
+    /** @type {RunningStats} heapUsed change across every run */
+    this.heapDelta = new RunningStats();
+  }
+
+  /**
+   * Records one run
+   * @param {number} duration - Milliseconds the run took
+   * @param {number} heapDelta - Change of heapUsed in bytes over the run
+   * @param {boolean} failed - Whether the run threw or rejected
+   */
+  record(duration, heapDelta, failed) {
+    this.durations.record(duration);
+    this.heapDelta.add(heapDelta);
+    if (failed) this.errors++;
+  }
+
+  /**
+   * Summarizes the operation for the report
+   * @returns {object} Operation report section
+   */
+  summarize() {
+    const { stats } = this.durations;
+    const toMetric = ms => ({ ms, human: formatMs(ms) });
+    const toBytes = bytes => ({ bytes, human: formatUnit('bytes', bytes, true) });
+    const duration = {
+      min: toMetric(stats.count > 0 ? stats.min : 0),
+      mean: toMetric(stats.mean)
+    };
+    for (const [key, p] of Object.entries(OPERATION_PERCENTILES)) {
+      duration[key] = toMetric(this.durations.percentile(p));
+    }
+    duration.max = toMetric(stats.count > 0 ? stats.max : 0);
+
+    return {
+      name: this.name,
+      count: this.durations.count,
+      errors: this.errors,
+      duration,
+      heapDelta: {
+        average: toBytes(this.heapDelta.mean),
+        max: toBytes(this.heapDelta.count > 0 ? this.heapDelta.max : 0)
+      }
+    };
+  }
+}
+
+/**
+ * Formats a metric value according to its unit
+ * @private
+ * @param {string} metric - Metric name
+ * @param {number} value - Metric value
+ * @returns {string} Human-readable value
+ */
+function formatMetricValue(metric, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return String(value);
+  if (BYTE_METRICS.includes(metric)) return formatBytes(Math.max(0, Math.round(value)));
+  if (metric === 'cpu') return `${value.toFixed(2)}%`;
+  if (metric === 'eventLoopLag') return formatDuration(value);
+  return String(value);
+}
+
+/**
+ * Declarative alert rule with a `for` duration, hysteresis and cooldown.
+ * Evaluating a value moves the rule between ok, pending and firing states and reports transitions.
+ * @class AlertRule
+ */
+class AlertRule {
+  /**
+   * Creates a new alert rule
+   * @constructor
+   * @param {object} rule - Rule definition
+   * @param {string} [rule.name] - Rule label (required for custom metrics)
+   * @param {string|function(object): number} rule.metric - Sample metric name or custom accessor
+   * @param {number} [rule.above] - Trigger when the value goes above this
+   * @param {number} [rule.below] - Trigger when the value goes below this
+   * @param {number} [rule.clear] - Value the metric must get back to before resolving (hysteresis)
+   * @param {number} [rule.for=0] - Milliseconds the condition must hold before triggering
+   * @param {number} [rule.cooldown=0] - Minimum milliseconds between two triggers
+   * @throws {Error} When the rule has no metric, no limit or an unknown metric name
+   */
+  constructor(rule = {}) {
+    const custom = typeof rule.metric === 'function';
+    if (!custom && !RULE_METRICS.includes(rule.metric)) {
+      throw new Error(
+        `Alert rule "metric" must be a function or one of: ${RULE_METRICS.join(', ')}`
+      );
+    }
+    if (typeof rule.above !== 'number' && typeof rule.below !== 'number') {
+      throw new Error('Alert rule requires a numeric "above" or "below" option');
+    }
+    if (custom && !rule.name) {
+      throw new Error('Alert rule with a custom metric requires a "name" option');
+    }
+
+    /** @type {'above'|'below'} Direction that breaches the rule */
+    this.direction = typeof rule.above === 'number' ? 'above' : 'below';
+    /** @type {number} Value that breaches the rule */
+    this.limit = this.direction === 'above' ? rule.above : rule.below;
+    /** @type {string} Rule label */
+    this.name = rule.name || `${rule.metric}_${this.direction}_${this.limit}`;
+    /** @type {string|function(object): number} Sample metric name or custom accessor */
+    this.metric = rule.metric;
+    /** @type {number} Value the metric must get back to before resolving */
+    this.clear = typeof rule.clear === 'number' ? rule.clear : this.limit;
+    /** @type {number} Milliseconds the condition must hold before triggering */
+    this.for = rule.for || 0;
+    /** @type {number} Minimum milliseconds between two triggers */
+    this.cooldown = rule.cooldown || 0;
+    this.reset();
+  }
+
+  /**
+   * Name of the metric for reporting
+   * @returns {string}
+   */
+  get metricName() {
+    return typeof this.metric === 'function' ? 'custom' : this.metric;
+  }
+
+  /**
+   * Clears the rule state and counters
+   */
+  reset() {
+    /** @type {'ok'|'pending'|'firing'} Current state */
+    this.state = 'ok';
+    /** @type {number|null} When the condition started holding */
+    this.pendingSince = null;
+    /** @type {number|null} When the rule last triggered */
+    this.lastTriggered = null;
+    /** @type {number|null} When the rule last resolved */
+    this.lastResolved = null;
+    /** @type {number} Number of times the rule triggered */
+    this.triggerCount = 0;
+    /** @type {number} Milliseconds spent firing, excluding the current episode */
+    this.firingTime = 0;
+    /** @type {number|null} Last evaluated value */
+    this.lastValue = null;
+  }
+
+  /**
+   * Reads the rule's metric from a sample
+   * @param {object} sample - Sample with a `metrics` map
+   * @returns {number} Metric value
+   */
+  read(sample) {
+    return typeof this.metric === 'function' ? this.metric(sample) : sample.metrics[this.metric];
+  }
+
+  /**
+   * Evaluates a new value and returns the resulting state transition, if any
+   * @param {number} value - Current metric value
+   * @param {number} now - Current timestamp
+   * @returns {'triggered'|'resolved'|null} The transition, or null when the state is unchanged
+   */
+  evaluate(value, now) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return null;
+    this.lastValue = value;
+
+    const breaching = this.direction === 'above' ? value > this.limit : value < this.limit;
+    const cleared = this.direction === 'above' ? value <= this.clear : value >= this.clear;
+
+    if (this.state === 'firing') {
+      if (!cleared) return null;
+      this.state = 'ok';
+      this.pendingSince = null;
+      this.lastResolved = now;
+      this.firingTime += now - this.lastTriggered;
+      return 'resolved';
+    }
+
+    if (!breaching) {
+      this.state = 'ok';
+      this.pendingSince = null;
+      return null;
+    }
+
+    if (this.pendingSince === null) {
+      this.pendingSince = now;
+    }
+    this.state = 'pending';
+
+    const heldLongEnough = now - this.pendingSince >= this.for;
+    const cooledDown = this.lastTriggered === null || now - this.lastTriggered >= this.cooldown;
+    if (!heldLongEnough || !cooledDown) return null;
+
+    this.state = 'firing';
+    this.lastTriggered = now;
+    this.triggerCount++;
+    return 'triggered';
+  }
+
+  /**
+   * Summarizes the rule for the report
+   * @param {number} [now=Date.now()] - Timestamp to measure an ongoing firing episode against
+   * @returns {object} Rule summary
+   */
+  summarize(now = Date.now()) {
+    const firingTime =
+      this.firingTime + (this.state === 'firing' ? Math.max(0, now - this.lastTriggered) : 0);
+    return {
+      name: this.name,
+      metric: this.metricName,
+      direction: this.direction,
+      limit: this.limit,
+      clear: this.clear,
+      state: this.state,
+      triggers: this.triggerCount,
+      lastTriggered: this.lastTriggered,
+      lastResolved: this.lastResolved,
+      firingTime,
+      firingTimeHuman: formatDuration(firingTime)
+    };
+  }
+}
+
+/**
+ * Escapes a Prometheus label value
+ * @private
+ * @param {*} value - Label value
+ * @returns {string} Escaped value, safe inside double quotes
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Renders one Prometheus metric family in text exposition format
+ * @private
+ * @param {string} name - Full metric name
+ * @param {string} type - Metric type (gauge, counter, summary)
+ * @param {string} help - Help text
+ * @param {Array<{labels?: object, value: number, suffix?: string}>} samples - Samples of the family
+ * @returns {string} Exposition lines, ending with a newline
+ */
+function formatPrometheusFamily(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const sample of samples) {
+    const labels = Object.entries(sample.labels || {})
+      .map(([key, value]) => `${key}="${escapeLabel(value)}"`)
+      .join(',');
+    const value = Number.isFinite(sample.value) ? sample.value : 'NaN';
+    lines.push(`${name}${sample.suffix || ''}${labels ? `{${labels}}` : ''} ${value}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Collects the comparable numeric metrics of a report, keyed by their dotted path
+ * @private
+ * @param {object} report - Report from Diagnostics#report()
+ * @returns {Map<string, {unit: string, value: number}>} Metrics by path (e.g. "memory.heap.peak")
+ */
+function collectReportMetrics(report) {
+  const metrics = new Map();
+
+  const walk = (node, keys) => {
+    if (!node || typeof node !== 'object') return;
+    for (const [key, value] of Object.entries(node)) {
+      // Configured limits (e.g. the stall threshold) describe the run, they aren't measurements
+      if (key === 'threshold' || key === 'limit') continue;
+      if (METRIC_UNITS.includes(key) && typeof value === 'number' && Number.isFinite(value)) {
+        const path = key === 'count' ? [...keys, key] : keys;
+        metrics.set(path.join('.'), { unit: key, value });
+      } else if (typeof value === 'object') {
+        walk(value, [...keys, key]);
+      }
+    }
+  };
+
+  for (const section of COMPARED_SECTIONS) {
+    if (section === 'phases' && Array.isArray(report.phases)) {
+      // Phases are matched by name rather than position
+      for (const phase of report.phases) {
+        walk(phase, ['phases', phase.name]);
+      }
+    } else {
+      walk(report[section], [section]);
+    }
+  }
+
+  if (report.clock && typeof report.clock.duration === 'number') {
+    metrics.set('clock.duration', { unit: 'ms', value: report.clock.duration });
+  }
+  if (report.analysis) {
+    if (typeof report.analysis.timeOverTarget === 'number') {
+      metrics.set('analysis.timeOverTarget', { unit: 'ms', value: report.analysis.timeOverTarget });
+    }
+    if (typeof report.analysis.numOfAlertTriggers === 'number') {
+      metrics.set('analysis.numOfAlertTriggers', {
+        unit: 'count',
+        value: report.analysis.numOfAlertTriggers
+      });
+    }
+  }
+
+  return metrics;
+}
+
+/**
+ * Formats a metric value, or a signed change of one, in its unit
+ * @private
+ * @param {string} unit - bytes, percentage, ms or count
+ * @param {number} value - Value to format
+ * @param {boolean} [signed=false] - Whether to prefix the value with + or -
+ * @returns {string} Human-readable value
+ */
+function formatUnit(unit, value, signed = false) {
+  const sign = signed ? (value < 0 ? '-' : '+') : value < 0 ? '-' : '';
+  const magnitude = Math.abs(value);
+  if (unit === 'bytes') return `${sign}${formatBytes(Math.round(magnitude))}`;
+  if (unit === 'percentage') return `${sign}${magnitude.toFixed(2)}%`;
+  if (unit === 'ms') return `${sign}${formatDuration(Math.round(magnitude))}`;
+  return `${sign}${magnitude}`;
+}
+
+/**
+ * Converts a millisecond value into a report metric
+ * @private
+ * @param {number} ms - Duration in milliseconds
+ * @returns {{ms: number, human: string}} Metric with raw and human-readable values
+ */
+function toMsMetric(ms) {
+  return { ms, human: formatDuration(ms) };
+}
+
+/**
+ * Builds a metric keyed by its unit
+ * @private
+ * @param {string} unit - bytes, percentage, ms or count
+ * @param {number} value - Metric value
+ * @param {boolean} [signed=false] - Whether the human-readable value carries a + or - sign
+ * @returns {object} Metric such as {bytes, human}
+ */
+function toUnitMetric(unit, value, signed = false) {
+  return { [unit]: value, human: formatUnit(unit, value, signed) };
+}
+
+/**
+ * Formats the duration of a single operation, down to nanoseconds
+ * @private
+ * @param {number} ms - Milliseconds per operation
+ * @returns {string} Human-readable duration
+ */
+function formatOpTime(ms) {
+  if (ms >= 1) return formatMs(ms);
+  if (ms * 1000 >= 1) return `${(ms * 1000).toFixed(2)}µs`;
+  return `${(ms * NS_PER_MS).toFixed(2)}ns`;
+}
+
+/**
+ * Half-width of the 95% confidence interval of a mean
+ * @private
+ * @param {RunningStats} stats - Observations
+ * @returns {number} Margin of error in the unit of the observations, 0 with fewer than two
+ */
+function confidenceMargin(stats) {
+  if (stats.count < 2) return 0;
+  const df = stats.count - 1;
+  const critical = T_DISTRIBUTION_95[df] || Z_95;
+  // RunningStats keeps the population deviation; the interval needs the sample one
+  const sampleStddev = stats.stddev * Math.sqrt(stats.count / df);
+  return (critical * sampleStddev) / Math.sqrt(stats.count);
+}
+
+/**
+ * Starts recording garbage collections synchronously, where the runtime supports it (Node.js 18.15+)
+ * @private
+ * @returns {object|null} Running v8.GCProfiler, null when unavailable
+ */
+function startGCProfiler() {
+  if (typeof v8.GCProfiler !== 'function') return null;
+  return safeExecute(() => {
+    const profiler = new v8.GCProfiler();
+    profiler.start();
+    return profiler;
+  });
+}
+
+/**
+ * Estimates the bytes allocated between two heap readings. Growth is summed between the
+ * collections that ran in between, so what they freed doesn't hide what was allocated.
+ * @private
+ * @param {number} startHeap - Used heap size at the start
+ * @param {number} endHeap - Used heap size at the end
+ * @param {object[]|null} collections - v8.GCProfiler statistics, null when not recorded
+ * @returns {number|null} Allocated bytes, null when a collection ran that wasn't recorded
+ */
+function allocatedBytes(startHeap, endHeap, collections) {
+  if (!collections) {
+    // A collection freed more than was allocated; the delta says nothing
+    return endHeap >= startHeap ? endHeap - startHeap : null;
+  }
+  let allocated = 0;
+  let previous = startHeap;
+  for (const collection of collections) {
+    allocated += Math.max(0, collection.beforeGC.heapStatistics.usedHeapSize - previous);
+    previous = collection.afterGC.heapStatistics.usedHeapSize;
+  }
+  return allocated + Math.max(0, endHeap - previous);
+}
+
+/**
+ * Checks the `budgets` option
+ * @private
+ * @param {Object<string, number>} budgets - Maximum per budget name
+ * @returns {Object<string, number>} The budgets
+ * @throws {Error} When a budget name is unknown or its maximum is not a number
+ */
+function validateBudgets(budgets) {
+  for (const [name, limit] of Object.entries(budgets)) {
+    if (!BUDGETS[name]) {
+      throw new Error(
+        `Unknown budget "${name}", expected one of: ${Object.keys(BUDGETS).join(', ')}`
+      );
+    }
+    if (typeof limit !== 'number' || !Number.isFinite(limit)) {
+      throw new Error(`Budget "${name}" must be a finite number`);
+    }
+  }
+  return budgets;
+}
+
+/**
+ * Evaluates budgets against a report
+ * @private
+ * @param {object} report - Report from Diagnostics#report()
+ * @param {Object<string, number>} budgets - Maximum per budget name
+ * @returns {{passed: boolean, failed: number, budgets: object[]}} Verdict and the outcome of every budget
+ */
+function evaluateBudgets(report, budgets) {
+  const results = Object.entries(budgets).map(([name, limit]) => {
+    const { unit, value } = BUDGETS[name];
+    const actual = value(report);
+    return {
+      name,
+      passed: actual <= limit,
+      limit: toUnitMetric(unit, limit),
+      actual: toUnitMetric(unit, actual),
+      // Headroom left under the limit, negative when over it
+      margin: toUnitMetric(unit, limit - actual, true)
+    };
+  });
+  const failed = results.filter(result => !result.passed).length;
+  return { passed: failed === 0, failed, budgets: results };
+}
+
+/**
+ * Builds a peak/average/low report section from byte statistics
+ * @private
+ * @param {{peak: number, average: number, low: number, timeWeightedAverage: number}} stats - Byte statistics
+ * @returns {object} Report section with byte metrics
+ */
+function toByteSection(stats) {
+  return {
+    peak: { bytes: stats.peak, human: formatBytes(stats.peak) },
+    average: { bytes: stats.average, human: formatBytes(stats.average) },
+    low: { bytes: stats.low, human: formatBytes(stats.low) },
+    timeWeightedAverage: {
+      bytes: stats.timeWeightedAverage,
+      human: formatBytes(stats.timeWeightedAverage)
+    }
+  };
+}
+
+/**
+ * Converts peak/average/low percentages into report metrics
+ * @private
+ * @param {{peak: number, average: number, low: number, timeWeightedAverage: number}} stats - Percentage statistics
+ * @returns {object} Percentage metrics with raw and human-readable values
+ */
+function toPercentSection(stats) {
+  const section = {};
+  for (const key of ['peak', 'average', 'low', 'timeWeightedAverage']) {
+    section[key] = { percentage: stats[key], human: `${stats[key].toFixed(2)}%` };
+  }
+  return section;
+}
+
+/**
+ * Formats a signed growth rate in bytes per minute
+ * @private
+ * @param {number} bytesPerMinute - Growth rate, negative when shrinking
+ * @returns {string} Human-readable rate (e.g. "+1.50 MB/min")
+ */
+function formatRate(bytesPerMinute) {
+  const rounded = Math.round(bytesPerMinute);
+  const sign = rounded > 0 ? '+' : rounded < 0 ? '-' : '';
+  return `${sign}${formatBytes(Math.abs(rounded))}/min`;
+}
+
+/**
+ * Builds the report section for a memory growth trend
+ * @private
+ * @param {object} stats - Summary from MemoryTrend
+ * @returns {object} Report section with slope, rate and fit quality
+ */
+function toTrendSection(stats) {
+  return {
+    basis: stats.basis,
+    points: stats.points,
+    bytesPerMinute: stats.bytesPerMinute,
+    human: formatRate(stats.bytesPerMinute),
+    r2: stats.r2
+  };
+}
+
+/**
+ * Judges whether a heap trend looks like a leak and projects when the heap limit is reached
+ * @private
+ * @param {object} trend - Heap summary from MemoryTrend
+ * @param {number} [heapLimit] - V8 heap size limit in bytes
+ * @returns {{verdict: string, confidence: number, heapLimit: object|null, timeToHeapLimit: object|null}} Leak analysis
+ */
+function analyzeLeak(trend, heapLimit) {
+  const limit = heapLimit
+    ? {
+        bytes: heapLimit,
+        human: formatBytes(heapLimit)
+      }
+    : null;
+
+  if (trend.points < MIN_TREND_POINTS || trend.span <= 0) {
+    return { verdict: 'insufficient-data', confidence: 0, heapLimit: limit, timeToHeapLimit: null };
+  }
+
+  const growth = trend.slope * trend.span;
+  const growing = trend.slope > 0 && growth >= trend.mean * LEAK_MIN_RELATIVE_GROWTH;
+  const confidence = growing ? trend.r2 * Math.min(1, trend.points / FULL_CONFIDENCE_POINTS) : 0;
+
+  let verdict = 'none';
+  if (confidence >= LEAK_LIKELY_CONFIDENCE) {
+    verdict = 'likely';
+  } else if (confidence >= LEAK_POSSIBLE_CONFIDENCE) {
+    verdict = 'possible';
+  }
+
+  let timeToHeapLimit = null;
+  if (growing && heapLimit && heapLimit > trend.baseline) {
+    const ms = (heapLimit - trend.baseline) / trend.slope;
+    timeToHeapLimit = { ms, human: formatDuration(Math.round(ms)) };
+  }
+
+  return { verdict, confidence, heapLimit: limit, timeToHeapLimit };
+}
+
+/**
+ * Builds the report section for a set of pause statistics
+ * @private
+ * @param {object} stats - Summary from GCMonitor
+ * @returns {object} Report section with counts and duration metrics
+ */
+function toPauseSection(stats) {
+  const section = {
+    count: stats.count,
+    total: toMsMetric(stats.total),
+    average: toMsMetric(stats.average),
+    max: toMsMetric(stats.max)
+  };
+  for (const key of Object.keys(LATENCY_PERCENTILES)) {
+    section[key] = toMsMetric(stats[key]);
+  }
+  return section;
+}
+
+/**
+ * Downsamples the retained samples into an evenly bucketed timeline of means.
+ * Event loop lag keeps the bucket's maximum so a short stall stays visible.
+ * @private
+ * @param {SampleBuffer} memorySamples - Retained memory snapshots
+ * @param {SampleBuffer} cpuSamples - Retained CPU snapshots, index-aligned with memorySamples
+ * @param {SampleBuffer} lagSamples - Retained per-sample lag maxima, index-aligned with memorySamples
+ * @param {boolean} skipFirstCpu - Whether the first CPU snapshot has no baseline and must be ignored
+ * @param {WorkerMonitor} [workers] - Attached workers; adds how many were alive at each point
+ * @returns {Array<{timestamp: number, heapUsed: number, rss: number, external: number, cpu: number|null, eventLoopLag: number, workers?: number}>} Timeline points
+ */
+function buildTimeline(memorySamples, cpuSamples, lagSamples, skipFirstCpu, workers) {
+  const count = memorySamples.length;
+  const buckets = Math.min(count, TIMELINE_POINTS);
+  const timeline = [];
+
+  for (let b = 0; b < buckets; b++) {
+    const from = Math.floor((b * count) / buckets);
+    const to = Math.floor(((b + 1) * count) / buckets);
+    const heap = new RunningStats();
+    const rss = new RunningStats();
+    const external = new RunningStats();
+    const cpu = new RunningStats();
+    let lag = 0;
+    for (let i = from; i < to; i++) {
+      const memory = memorySamples.get(i);
+      heap.add(memory.heapUsed);
+      rss.add(memory.rss);
+      external.add(memory.external || 0);
+      const cpuSample = cpuSamples.get(i);
+      if (cpuSample && !(skipFirstCpu && i === 0)) cpu.add(cpuSample.percentage);
+      const lagSample = lagSamples.get(i);
+      if (lagSample && lagSample.lag > lag) lag = lagSample.lag;
+    }
+    timeline.push({
+      timestamp: memorySamples.get(from).timestamp,
+      heapUsed: heap.mean,
+      rss: rss.mean,
+      external: external.mean,
+      cpu: cpu.count > 0 ? cpu.mean : null,
+      eventLoopLag: lag
+    });
+    if (workers && workers.threads.size > 0) {
+      timeline[timeline.length - 1].workers = workers.aliveAt(memorySamples.get(from).timestamp);
+    }
+  }
+
+  return timeline;
+}
+
+/**
+ * Formats milliseconds with sub-millisecond precision below one second
+ * @private
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Human-readable duration
+ */
+function formatMs(ms) {
+  return ms < 1000 ? `${ms.toFixed(2)}ms` : formatDuration(ms);
+}
+
+/**
+ * Renders values as a sparkline, resampling them to the requested width
+ * @private
+ * @param {Array<number|null>} values - Series to draw; null leaves a gap
+ * @param {string} glyphs - Glyphs from lowest to highest
+ * @param {number} width - Maximum number of characters
+ * @returns {string} Sparkline
+ */
+function sparkline(values, glyphs, width) {
+  const points = [];
+  const size = Math.min(values.length, width);
+  for (let b = 0; b < size; b++) {
+    const bucket = new RunningStats();
+    const from = Math.floor((b * values.length) / size);
+    const to = Math.floor(((b + 1) * values.length) / size);
+    for (let i = from; i < to; i++) {
+      if (typeof values[i] === 'number') bucket.add(values[i]);
+    }
+    points.push(bucket.count > 0 ? bucket.mean : null);
+  }
+
+  const present = points.filter(value => value !== null);
+  const min = Math.min(...present);
+  const range = Math.max(...present) - min;
+  return points
+    .map(value => {
+      if (value === null) return ' ';
+      const level = range > 0 ? Math.round(((value - min) / range) * (glyphs.length - 1)) : 0;
+      return glyphs[level];
+    })
+    .join('');
+}
+
+/**
+ * Lays out rows as a table: first column left-aligned, the others right-aligned
+ * @private
+ * @param {string[][]} rows - Header row followed by data rows
+ * @param {function(string): string} [header] - Decorates the header row
+ * @returns {string} Table lines
+ */
+function renderTable(rows, header = text => text) {
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map(row => String(row[column]).length))
+  );
+  return rows
+    .map((row, index) => {
+      const line = row
+        .map((cell, column) =>
+          column === 0 ? String(cell).padEnd(widths[column]) : String(cell).padStart(widths[column])
+        )
+        .join('  ')
+        .trimEnd();
+      return index === 0 ? header(line) : line;
+    })
+    .join('\n');
+}
+
+/** @type {Object<string, string>} ANSI style of each status level in text reports */
+const STATUS_STYLES = { bad: 'red', warn: 'yellow', ok: 'green', info: 'dim' };
+
+/**
+ * Summarizes threshold, target, rule, leak and termination status for the renderers
+ * @private
+ * @param {object} report - Report from Diagnostics#report()
+ * @returns {Array<[string, string, string, string|null]>} Label, value, status text and level (bad, warn, ok, info)
+ */
+function collectStatus(report) {
+  const { memory, analysis } = report;
+  const status = [];
+  if (analysis.threshold) {
+    const exceeded = memory.peak.bytes > analysis.threshold.bytes;
+    status.push([
+      'Threshold',
+      analysis.threshold.human,
+      `${exceeded ? 'EXCEEDED' : 'OK'}, peak ${memory.peak.human}`,
+      exceeded ? 'bad' : 'ok'
+    ]);
+  }
+  if (analysis.target) {
+    const duration = report.clock.duration;
+    const share = duration > 0 ? (analysis.timeOverTarget / duration) * 100 : 0;
+    status.push(
+      share > 0
+        ? [
+            'Target',
+            analysis.target.human,
+            `over target ${share.toFixed(1)}% of the time (${analysis.timeOverTargetHuman})`,
+            'warn'
+          ]
+        : ['Target', analysis.target.human, 'within target', 'ok']
+    );
+  }
+  for (const rule of analysis.rules || []) {
+    if (rule.name === 'threshold') continue;
+    status.push([
+      `Rule ${rule.name}`,
+      `${rule.metric} ${rule.direction === 'above' ? '>' : '<'} ${formatMetricValue(rule.metric, rule.limit)}`,
+      `${rule.state}, triggered ${rule.triggers} time${rule.triggers === 1 ? '' : 's'}`,
+      rule.state === 'firing' ? 'bad' : rule.triggers > 0 ? 'warn' : 'ok'
+    ]);
+  }
+  if (analysis.leak) {
+    const levels = { likely: 'bad', possible: 'warn', none: 'ok' };
+    const { verdict, confidence } = analysis.leak;
+    status.push([
+      'Leak',
+      analysis.trend ? analysis.trend.heap.human : '',
+      `${verdict} (confidence ${Math.round(confidence * 100)}%)`,
+      levels[verdict] || 'info'
+    ]);
+  }
+  for (const budget of report.budget ? report.budget.budgets : []) {
+    status.push([
+      `Budget ${budget.name}`,
+      `max ${budget.limit.human}`,
+      `${budget.passed ? 'OK' : 'EXCEEDED'}, actual ${budget.actual.human} (margin ${budget.margin.human})`,
+      budget.passed ? 'ok' : 'bad'
+    ]);
+  }
+  if (report.activeResources && report.activeResources.growing.length > 0) {
+    const { byType, growing } = report.activeResources;
+    status.push([
+      'Resources',
+      growing.map(type => `${type} ${byType[type].final}`).join(', '),
+      'only ever grew',
+      'warn'
+    ]);
+  }
+  if (report.async && report.async.suspects.length > 0) {
+    const [top] = report.async.suspects;
+    const count = report.async.suspects.reduce((sum, suspect) => sum + suspect.count, 0);
+    status.push([
+      'Async',
+      `${count} older than ${report.async.maxAge.human}`,
+      `suspected leaks, top: ${top.count} ${top.type} at ${top.site}`,
+      'warn'
+    ]);
+  }
+  if (report.termination) {
+    const { reason, signal, error } = report.termination;
+    status.push(['Ended by', signal || reason, error ? error.message : '', error ? 'bad' : null]);
+  }
+  return status;
+}
+
+/**
+ * Builds the resource, event loop and phase tables shared by the renderers
+ * @private
+ * @param {object} report - Report from Diagnostics#report()
+ * @returns {{resources: string[][], eventLoop: string[][], gc: string, phases: string[][]|null, operations: string[][]|null}} Header and data rows of each table, and the GC summary
+ */
+function collectTables(report) {
+  const { memory, cpu, eventLoop, gc } = report;
+  const lag = eventLoop.lag;
+  const columns = ['peak', 'average', 'low', 'timeWeightedAverage'];
+  const bytes = metric => formatBytes(metric.bytes);
+  const percent = metric => `${metric.percentage.toFixed(2)}%`;
+  const phases = report.phases || [];
+  const operations = report.operations || [];
+  return {
+    resources: [
+      ['', 'Peak', 'Average', 'Low', 'Time-weighted'],
+      ['Heap', ...columns.map(key => bytes(memory.heap[key]))],
+      ['RSS', ...columns.map(key => bytes(memory.rss[key]))],
+      ['CPU', ...columns.map(key => percent(cpu[key]))]
+    ],
+    eventLoop: [
+      ['Event loop', 'Average', 'p50', 'p90', 'p99', 'Max', 'Stalls'],
+      [
+        'Lag',
+        ...['average', 'p50', 'p90', 'p99', 'max'].map(key => formatMs(lag[key].ms)),
+        String(lag.stalls.count)
+      ]
+    ],
+    gc:
+      `${gc.count} collection${gc.count === 1 ? '' : 's'}, ${formatMs(gc.total.ms)} total ` +
+      `(${gc.percentage.human} of run), max ${formatMs(gc.max.ms)}`,
+    phases:
+      phases.length > 0
+        ? [
+            ['Phase', 'Duration', 'Heap delta', 'Heap peak', 'CPU avg', 'Max lag'],
+            ...phases.map(phase => [
+              phase.name,
+              formatMs(phase.duration.ms),
+              phase.memory.delta.human,
+              phase.memory.peak.human,
+              phase.cpu.average.human,
+              formatMs(phase.eventLoop.max.ms)
+            ])
+          ]
+        : null,
+    operations:
+      operations.length > 0
+        ? [
+            ['Operation', 'Count', 'Errors', 'Mean', 'p50', 'p95', 'p99', 'Max'],
+            ...operations.map(operation => [
+              operation.name,
+              String(operation.count),
+              String(operation.errors),
+              ...['mean', 'p50', 'p95', 'p99', 'max'].map(key => operation.duration[key].human)
+            ])
+          ]
+        : null
+  };
+}
+
+/**
+ * Renders a report as aligned text tables with sparklines and threshold/target status
+ * @private
+ * @param {object} report - Report from Diagnostics#report()
+ * @param {object} options - Render options
+ * @param {boolean} [options.plain] - No colors and ASCII sparklines (default: when stdout is not a TTY)
+ * @param {number} [options.width=60] - Sparkline width in characters
+ * @returns {string} Text report
+ */
+function renderTextReport(report, options) {
+  const plain =
+    options.plain !== undefined ? options.plain : !(process.stdout && process.stdout.isTTY);
+  const paint = (style, text) => (plain ? text : `${ANSI[style]}${text}${ANSI.reset}`);
+  const width = options.width || DEFAULT_SPARKLINE_WIDTH;
+  const { memory, cpu, analysis, summary } = report;
+  const bytes = metric => formatBytes(metric.bytes);
+  const percent = metric => `${metric.percentage.toFixed(2)}%`;
+  const lines = [];
+
+  lines.push(paint('bold', `ak-diagnostic report: ${report.name}`));
+  lines.push(
+    `${summary.duration}, ${summary.samples} samples every ${formatDuration(analysis.samplingInterval)}, ` +
+      `${summary.alerts} alert${summary.alerts === 1 ? '' : 's'}`
+  );
+  lines.push('');
+
+  const tables = collectTables(report);
+  const dim = text => paint('dim', text);
+  lines.push(renderTable(tables.resources, dim));
+  lines.push('');
+  lines.push(renderTable(tables.eventLoop, dim));
+  lines.push(`GC: ${tables.gc}`);
+
+  const timeline = report.timeline || [];
+  if (timeline.length > 1) {
+    const glyphs = plain ? SPARK_ASCII : SPARK_BLOCKS;
+    const heapLine = sparkline(
+      timeline.map(point => point.heapUsed),
+      glyphs,
+      width
+    );
+    const cpuLine = sparkline(
+      timeline.map(point => point.cpu),
+      glyphs,
+      width
+    );
+    lines.push('');
+    lines.push(`Heap  ${heapLine}  ${bytes(memory.heap.low)} - ${bytes(memory.heap.peak)}`);
+    lines.push(`CPU   ${cpuLine}  ${percent(cpu.low)} - ${percent(cpu.peak)}`);
+  }
+
+  if (tables.phases) {
+    lines.push('');
+    lines.push(renderTable(tables.phases, dim));
+  }
+  if (tables.operations) {
+    lines.push('');
+    lines.push(renderTable(tables.operations, dim));
+  }
+
+  const status = collectStatus(report).map(([label, value, text, level]) => [
+    label,
+    value,
+    level ? paint(STATUS_STYLES[level], text) : text
+  ]);
+  if (status.length > 0) {
+    lines.push('');
+    // Status cells may carry color codes, so only the first two columns are aligned
+    const labelWidth = Math.max(...status.map(row => row[0].length));
+    const valueWidth = Math.max(...status.map(row => row[1].length));
+    for (const [label, value, text] of status) {
+      lines.push(`${label.padEnd(labelWidth)}  ${value.padEnd(valueWidth)}  ${text}`.trimEnd());
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/** @type {Object<string, string>} Characters that must be escaped in HTML text and attributes */
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** @type {string} Stylesheet inlined into HTML reports */
+const HTML_STYLE = `
+body { margin: 0; background: #f9fafb; color: #111827; font: 14px/1.5 system-ui, sans-serif; }
+main { max-width: 960px; margin: 0 auto; padding: 24px; }
+h1 { margin: 0; font-size: 22px; }
+h2 { margin: 32px 0 8px; font-size: 16px; }
+.meta { margin: 4px 0 16px; color: #6b7280; }
+.cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 12px; }
+.card { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px; }
+.card span { display: block; color: #6b7280; font-size: 12px; }
+.card strong { font-size: 18px; }
+figure { margin: 16px 0; background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px; }
+figcaption { margin-bottom: 8px; }
+.key { margin-left: 12px; color: #6b7280; font-size: 12px; }
+.key::before { content: ''; display: inline-block; width: 12px; height: 3px; margin-right: 4px; vertical-align: middle; background: var(--color); }
+svg { display: block; width: 100%; height: auto; }
+svg text { font-size: 11px; fill: #6b7280; }
+table { width: 100%; border-collapse: collapse; background: #fff; border: 1px solid #e5e7eb; }
+th, td { padding: 6px 10px; border-bottom: 1px solid #e5e7eb; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+th { background: #f3f4f6; font-weight: 600; }
+details table td { text-align: left; font-family: ui-monospace, monospace; font-size: 12px; word-break: break-all; }
+.badge { display: inline-block; padding: 0 8px; border-radius: 9999px; font-size: 12px; font-weight: 600; }
+.bad { background: #fee2e2; color: #991b1b; }
+.warn { background: #fef3c7; color: #92400e; }
+.ok { background: #dcfce7; color: #166534; }
+.info { background: #f3f4f6; color: #374151; }
+summary { cursor: pointer; font-weight: 600; margin: 32px 0 8px; }
+`;
+
+/**
+ * Escapes a value for use in HTML text or a quoted attribute
+ * @private
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Flattens nested system info into dotted key/value rows
+ * @private
+ * @param {*} value - Value to flatten
+ * @param {string} [prefix=''] - Key of the value
+ * @param {Array<[string, string]>} [rows=[]] - Rows collected so far
+ * @returns {Array<[string, string]>} Key/value rows
+ */
+function flattenInfo(value, prefix = '', rows = []) {
+  if (value === null || typeof value !== 'object') {
+    if (value !== undefined) rows.push([prefix, String(value)]);
+  } else if (
+    Array.isArray(value) &&
+    value.every(item => item === null || typeof item !== 'object')
+  ) {
+    rows.push([prefix, value.join(' ')]);
+  } else {
+    for (const [key, item] of Object.entries(value)) {
+      flattenInfo(item, prefix ? `${prefix}.${key}` : key, rows);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Renders rows as an HTML table whose first row is the header
+ * @private
+ * @param {string[][]} rows - Header row followed by data rows, already escaped
+ * @returns {string} Table markup
+ */
+function renderHtmlTable(rows) {
+  const [head, ...body] = rows;
+  return (
+    `<table><thead><tr>${head.map(cell => `<th>${cell}</th>`).join('')}</tr></thead><tbody>` +
+    body.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('') +
+    '</tbody></table>'
+  );
+}
+
+/**
+ * Draws timeline series as an inline SVG line chart
+ * @private
+ * @param {Array<object>} timeline - Report timeline, at least two points
+ * @param {object} chart - Chart definition
+ * @param {string} chart.title - Chart title
+ * @param {Array<{key: string, label: string}>} chart.series - Timeline fields to draw
+ * @param {function(number): string} chart.format - Formats axis and guide values
+ * @param {Array<{label: string, value: number}>} [chart.guides=[]] - Horizontal dashed lines
+ * @param {Array<{timestamp: number, label: string}>} [chart.markers=[]] - Alert markers
+ * @returns {string} Figure markup
+ */
+function svgLineChart(timeline, chart) {
+  const { width, height, left, right, top, bottom, ticks, headroom, markerRadius } = HTML_CHART;
+  const guides = chart.guides || [];
+  const markers = chart.markers || [];
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const start = timeline[0].timestamp;
+  const end = timeline[timeline.length - 1].timestamp;
+  const span = Math.max(end - start, 1);
+  const values = chart.series
+    .flatMap(series => timeline.map(point => point[series.key]))
+    .filter(value => typeof value === 'number');
+  const max = Math.max(0, ...values, ...guides.map(guide => guide.value)) * headroom || 1;
+  const x = timestamp =>
+    (left + ((Math.min(Math.max(timestamp, start), end) - start) / span) * plotWidth).toFixed(1);
+  const y = value => (top + plotHeight - (value / max) * plotHeight).toFixed(1);
+  const gap = markerRadius + 2;
+  const parts = [];
+
+  for (let i = 0; i <= ticks; i++) {
+    const value = (max * i) / ticks;
+    parts.push(
+      `<line x1="${left}" x2="${width - right}" y1="${y(value)}" y2="${y(value)}" stroke="${HTML_COLORS.grid}"/>`,
+      `<text x="${left - gap}" y="${y(value)}" text-anchor="end" dominant-baseline="middle">${escapeHtml(chart.format(value))}</text>`
+    );
+  }
+  parts.push(
+    `<text x="${left}" y="${height - gap}">0s</text>`,
+    `<text x="${width - right}" y="${height - gap}" text-anchor="end">${escapeHtml(formatDuration(end - start))}</text>`
+  );
+
+  for (const guide of guides) {
+    const color = HTML_COLORS[guide.key];
+    parts.push(
+      `<line x1="${left}" x2="${width - right}" y1="${y(guide.value)}" y2="${y(guide.value)}" stroke="${color}" stroke-dasharray="6 4"/>`,
+      `<text x="${width - right}" y="${(y(guide.value) - gap).toFixed(1)}" text-anchor="end" style="fill:${color}">${escapeHtml(`${guide.label} ${chart.format(guide.value)}`)}</text>`
+    );
+  }
+
+  for (const series of chart.series) {
+    let pen = 'M';
+    const path = [];
+    for (const point of timeline) {
+      if (typeof point[series.key] !== 'number') {
+        pen = 'M';
+        continue;
+      }
+      path.push(`${pen}${x(point.timestamp)},${y(point[series.key])}`);
+      pen = 'L';
+    }
+    parts.push(
+      `<path class="series" d="${path.join(' ')}" fill="none" stroke="${HTML_COLORS[series.key]}" stroke-width="2"><title>${escapeHtml(series.label)}</title></path>`
+    );
+  }
+
+  for (const marker of markers) {
+    parts.push(
+      `<g class="alert"><title>${escapeHtml(marker.label)}</title>` +
+        `<line x1="${x(marker.timestamp)}" x2="${x(marker.timestamp)}" y1="${top}" y2="${top + plotHeight}" stroke="${HTML_COLORS.alert}" stroke-dasharray="2 2"/>` +
+        `<circle cx="${x(marker.timestamp)}" cy="${top}" r="${markerRadius}" fill="${HTML_COLORS.alert}"/></g>`
+    );
+  }
+
+  const legend = chart.series
+    .map(
+      series =>
+        `<span class="key" style="--color:${HTML_COLORS[series.key]}">${escapeHtml(series.label)}</span>`
+    )
+    .join('');
+  return (
+    `<figure><figcaption><strong>${escapeHtml(chart.title)}</strong>${legend}</figcaption>` +
+    `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(chart.title)}">${parts.join('')}</svg></figure>`
+  );
+}
+
+/**
+ * Renders a report as a single self-contained HTML page with inline SVG charts
+ * @private
+ * @param {object} report - Report from Diagnostics#report()
+ * @returns {string} HTML document
+ */
+function renderHtmlReport(report) {
+  const { memory, cpu, eventLoop, gc, analysis, summary } = report;
+  const lag = eventLoop.lag;
+  const timeline = report.timeline || [];
+  const title = `ak-diagnostic report: ${report.name}`;
+  const triggered = (analysis.alertHistory || []).filter(entry => entry.state === 'triggered');
+  const markers = matches =>
+    triggered
+      .filter(entry => matches(entry.metric))
+      .map(entry => ({
+        timestamp: entry.timestamp,
+        label: `${entry.rule}: ${entry.metric} ${formatMetricValue(entry.metric, entry.value)}`
+      }));
+  const sections = [];
+
+  const cards = [
+    ['Duration', summary.duration],
+    ['Peak memory', memory.peak.human],
+    ['Average CPU', cpu.average.human],
+    ['Max event loop lag', formatMs(lag.max.ms)],
+    ['GC time', gc.percentage.human],
+    ['Alerts', String(summary.alerts)]
+  ];
+  sections.push(
+    `<section class="cards">${cards
+      .map(
+        ([label, value]) =>
+          `<div class="card"><span>${label}</span><strong>${escapeHtml(value)}</strong></div>`
+      )
+      .join('')}</section>`
+  );
+
+  const status = collectStatus(report);
+  if (status.length > 0) {
+    sections.push(
+      '<h2>Status</h2>' +
+        renderHtmlTable([
+          ['', 'Limit', 'Status'],
+          ...status.map(([label, value, text, level]) => [
+            escapeHtml(label),
+            escapeHtml(value),
+            level ? `<span class="badge ${level}">${escapeHtml(text)}</span>` : escapeHtml(text)
+          ])
+        ])
+    );
+  }
+
+  if (timeline.length > 1) {
+    const guides = [];
+    if (analysis.threshold) {
+      guides.push({ key: 'threshold', label: 'threshold', value: analysis.threshold.bytes });
+    }
+    if (analysis.target) {
+      guides.push({ key: 'target', label: 'target', value: analysis.target.bytes });
+    }
+    sections.push(
+      '<h2>Over time</h2>',
+      svgLineChart(timeline, {
+        title: 'Memory',
+        series: [
+          { key: 'heapUsed', label: 'Heap used' },
+          { key: 'rss', label: 'RSS' },
+          { key: 'external', label: 'External' }
+        ],
+        format: formatBytes,
+        guides,
+        markers: markers(metric => metric !== 'cpu' && metric !== 'eventLoopLag')
+      }),
+      svgLineChart(timeline, {
+        title: 'CPU',
+        series: [{ key: 'cpu', label: 'CPU' }],
+        format: value => `${value.toFixed(1)}%`,
+        markers: markers(metric => metric === 'cpu')
+      }),
+      svgLineChart(timeline, {
+        title: 'Event loop lag',
+        series: [{ key: 'eventLoopLag', label: 'Max lag' }],
+        format: formatMs,
+        markers: markers(metric => metric === 'eventLoopLag')
+      })
+    );
+  }
+
+  const tables = collectTables(report);
+  const escapeRows = rows => rows.map(row => row.map(escapeHtml));
+  sections.push(
+    `<h2>Resources</h2>${renderHtmlTable(escapeRows(tables.resources))}`,
+    `<h2>Event loop</h2>${renderHtmlTable(escapeRows(tables.eventLoop))}` +
+      `<p class="meta">GC: ${escapeHtml(tables.gc)}</p>`
+  );
+  if (tables.phases) {
+    sections.push(`<h2>Phases</h2>${renderHtmlTable(escapeRows(tables.phases))}`);
+  }
+  if (tables.operations) {
+    sections.push(`<h2>Operations</h2>${renderHtmlTable(escapeRows(tables.operations))}`);
+  }
+
+  const infoRows = flattenInfo(report.infos || {});
+  if (infoRows.length > 0) {
+    sections.push(
+      `<details><summary>System info</summary>${renderHtmlTable([
+        ['Key', 'Value'],
+        ...infoRows.map(row => row.map(escapeHtml))
+      ])}</details>`
+    );
+  }
+
+  const started = report.clock && report.clock.startTime;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${escapeHtml(
+    `${summary.duration}, ${summary.samples} samples every ${formatDuration(analysis.samplingInterval)}` +
+      (started ? `, started ${new Date(started).toISOString()}` : '')
+  )}</p>
+${sections.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+/** @type {Object<string, string>} Emoji-free Markdown badge for each status level */
+const MARKDOWN_BADGES = { bad: '**FAIL**', warn: '**WARN**', ok: '**PASS**', info: '**INFO**' };
+
+/**
+ * Escapes Markdown and inline HTML so a value renders literally inside a table cell
+ * @private
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text on a single line
+ */
+function escapeMarkdown(value) {
+  return String(value)
+    .replace(/[\\`*_[\]<>|]/g, '\\$&')
+    .replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Renders rows as a GitHub-flavored Markdown table
+ * @private
+ * @param {string[][]} rows - Header row followed by data rows, already escaped
+ * @param {boolean} [numeric=true] - Right-align every column but the first; otherwise all are left-aligned
+ * @returns {string} Table lines
+ */
+function renderMarkdownTable(rows, numeric = true) {
+  const line = cells => `| ${cells.join(' | ')} |`;
+  const [head, ...body] = rows;
+  return [
+    line(head),
+    line(head.map((_, column) => (column === 0 || !numeric ? ':---' : '---:'))),
+    ...body.map(line)
+  ].join('\n');
+}
+
+/**
+ * Renders a report as GitHub-flavored Markdown for CI job summaries and pull request comments
+ * @private
+ * @param {object} report - Report from Diagnostics#report()
+ * @returns {string} Markdown document
+ */
+function renderMarkdownReport(report) {
+  const { analysis, summary } = report;
+  const escapeRows = rows => rows.map(row => row.map(escapeMarkdown));
+  const tables = collectTables(report);
+  const blocks = [
+    `## ak-diagnostic report: ${escapeMarkdown(report.name)}`,
+    escapeMarkdown(
+      `${summary.duration}, ${summary.samples} samples every ${formatDuration(analysis.samplingInterval)}, ` +
+        `${summary.alerts} alert${summary.alerts === 1 ? '' : 's'}`
+    )
+  ];
+
+  const status = collectStatus(report);
+  if (status.length > 0) {
+    blocks.push(
+      renderMarkdownTable(
+        [
+          ['Check', 'Limit', 'Status'],
+          ...status.map(([label, value, text, level]) => [
+            escapeMarkdown(label),
+            escapeMarkdown(value),
+            [level ? MARKDOWN_BADGES[level] : '', escapeMarkdown(text)].filter(Boolean).join(' ')
+          ])
+        ],
+        false
+      )
+    );
+  }
+
+  blocks.push(
+    '### Resources',
+    renderMarkdownTable(escapeRows(tables.resources)),
+    '### Event loop',
+    renderMarkdownTable(escapeRows(tables.eventLoop)),
+    `GC: ${escapeMarkdown(tables.gc)}`
+  );
+  if (tables.phases) {
+    blocks.push('### Phases', renderMarkdownTable(escapeRows(tables.phases)));
+  }
+  if (tables.operations) {
+    blocks.push('### Operations', renderMarkdownTable(escapeRows(tables.operations)));
+  }
+
+  const infoRows = flattenInfo(report.infos || {});
+  if (infoRows.length > 0) {
+    // Blank lines around the table let GitHub render Markdown inside the HTML block
+    blocks.push(
+      '<details>\n<summary>System info</summary>',
+      renderMarkdownTable([['Key', 'Value'], ...escapeRows(infoRows)], false),
+      '</details>'
+    );
+  }
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Renders a comparison as GitHub-flavored Markdown: a verdict badge, a table of the regressed and
+ * improved metrics and the unchanged ones collapsed below it
+ * @private
+ * @param {object} comparison - Result of Diagnostics.compare()
+ * @returns {string} Markdown document
+ */
+function renderMarkdownComparison(comparison) {
+  const badges = {
+    regressed: MARKDOWN_BADGES.bad,
+    improved: MARKDOWN_BADGES.ok,
+    unchanged: MARKDOWN_BADGES.ok
+  };
+  const [headline] = comparison.summary.split('\n');
+  const rows = metrics => [
+    ['Metric', 'Baseline', 'Current', 'Change', 'Status'],
+    ...metrics.map(m =>
+      [
+        m.metric,
+        formatUnit(m.unit, m.baseline),
+        formatUnit(m.unit, m.current),
+        `${formatUnit(m.unit, m.delta, true)}${m.percent === null ? '' : ` (${m.percent >= 0 ? '+' : ''}${m.percent.toFixed(1)}%)`}`,
+        m.status
+      ].map(escapeMarkdown)
+    )
+  ];
+  const changed = [...comparison.regressions, ...comparison.improvements];
+  const unchanged = comparison.metrics.filter(m => m.status === 'unchanged');
+  const blocks = [
+    '## ak-diagnostic comparison',
+    `${badges[comparison.verdict]} ${escapeMarkdown(headline)}`
+  ];
+  if (changed.length > 0) {
+    blocks.push(renderMarkdownTable(rows(changed)));
+  }
+  if (unchanged.length > 0) {
+    blocks.push(
+      `<details>\n<summary>${unchanged.length} unchanged metric${unchanged.length === 1 ? '' : 's'}</summary>`,
+      renderMarkdownTable(rows(unchanged)),
+      '</details>'
+    );
+  }
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/** @type {Object<string, function(object, object): string>} Report renderers by format name */
+const REPORT_FORMATS = {
+  text: renderTextReport,
+  html: renderHtmlReport,
+  markdown: renderMarkdownReport
+};
+
+/** @type {Object<string, function(object, object): string>} Comparison renderers by format name */
+const COMPARISON_FORMATS = {
+  text: comparison => `${comparison.summary}\n`,
+  markdown: renderMarkdownComparison
+};
+
+/**
+ * Renders a report for people rather than machines
+ * @param {object} report - Report from Diagnostics#report() or Diagnostics.fromLog()
+ * @param {object} [options={}] - Render options
+ * @param {string} [options.format='text'] - Output format: 'text', 'html' (a self-contained page) or 'markdown'
+ * @param {boolean} [options.plain] - Text only: no colors and ASCII sparklines (default: when stdout is not a TTY)
+ * @param {number} [options.width=60] - Text only: sparkline width in characters
+ * @returns {string} Rendered report
+ * @throws {Error} When the format is unknown
+ * @example
+ * console.log(formatReport(diagnostics.report()));
+ * fs.writeFileSync('report.log', formatReport(report, { plain: true }));
+ * fs.writeFileSync('report.html', formatReport(report, { format: 'html' }));
+ * fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, formatReport(report, { format: 'markdown' }));
+ */
+function formatReport(report, options = {}) {
+  const format = options.format || 'text';
+  const render = REPORT_FORMATS[format];
+  if (!render) {
+    throw new Error(
+      `Unknown report format "${format}", expected one of: ${Object.keys(REPORT_FORMATS).join(', ')}`
+    );
+  }
+  return render(report, options);
+}
+
+/**
+ * Renders the result of Diagnostics.compare() for people rather than machines
+ * @param {object} comparison - Result of Diagnostics.compare()
+ * @param {object} [options={}] - Render options
+ * @param {string} [options.format='text'] - Output format: 'text' (the comparison summary) or 'markdown'
+ * @returns {string} Rendered comparison
+ * @throws {Error} When the format is unknown
+ * @example
+ * const comparison = Diagnostics.compare(baseline, current);
+ * fs.writeFileSync('comment.md', formatComparison(comparison, { format: 'markdown' }));
+ */
+function formatComparison(comparison, options = {}) {
+  const format = options.format || 'text';
+  const render = COMPARISON_FORMATS[format];
+  if (!render) {
+    throw new Error(
+      `Unknown comparison format "${format}", expected one of: ${Object.keys(COMPARISON_FORMATS).join(', ')}`
+    );
+  }
+  return render(comparison, options);
+}
+
+/**
+ * Main Diagnostics class for collecting runtime performance metrics.
+ * Emits `start`, `stop`, `sample`, `alert` and `reset` events; listener errors are swallowed.
+ * @class Diagnostics
+ * @extends EventEmitter
+ */
+class Diagnostics extends EventEmitter {
+  /**
+   * Creates a new Diagnostics instance for monitoring runtime performance
+   * @constructor
+   * @param {object} [options={}] - Configuration options
+   * @param {string} options.name - Required label/identifier for this diagnostic session
+   * @param {number} [options.interval=5000] - Sampling interval in milliseconds
+   * @param {number} [options.threshold] - Memory threshold in bytes for triggering alerts
+   * @param {function} [options.alert] - Callback function when an alert triggers or resolves
+   * @param {object[]} [options.rules] - Alert rules over sample metrics, see AlertRule
+   * @param {number} [options.target] - Target memory consumption in bytes for tracking
+   * @param {boolean} [options.monitorEventLoop=true] - Whether to monitor event loop lag
+   * @param {boolean} [options.monitorGC=true] - Whether to observe garbage collection pauses
+   * @param {boolean} [options.heapSpaces=false] - Whether to capture per-heap-space usage in each sample
+   * @param {boolean|object} [options.heapSnapshot=false] - Write a heap snapshot when the threshold is exceeded
+   * @param {string} [options.heapSnapshot.directory=os.tmpdir()] - Directory the snapshots are written to
+   * @param {number} [options.heapSnapshot.cooldown=300000] - Minimum milliseconds between two snapshots
+   * @param {number} [options.heapSnapshot.maxCount=1] - Maximum number of snapshots written
+   * @param {number} [options.heapSnapshot.maxBytes=1073741824] - Disk budget in bytes for all snapshots
+   * @param {number} [options.maxSamples=1000] - Maximum raw samples retained per series (0 for unbounded)
+   * @param {number} [options.retention] - Maximum age in milliseconds of retained raw samples
+   * @param {number} [options.stallThreshold=100] - Event loop lag in milliseconds counted as a stall
+   * @param {number} [options.eventLoopResolution=10] - Event loop delay histogram resolution in milliseconds
+   * @param {boolean|string|object} [options.flushOnExit=false] - Write the report when the process exits, is signalled or crashes; a string sets the path
+   * @param {string} [options.flushOnExit.path] - Report path (default: ./diagnostics-<name>-<pid>.json)
+   * @param {function(object): string} [options.flushOnExit.serialize] - Turns the report into file contents (default: JSON)
+   * @param {string|object} [options.sampleLog] - Append every sample to an NDJSON file; a string sets the path
+   * @param {string} options.sampleLog.path - Path of the active log file
+   * @param {number} [options.sampleLog.maxBytes] - Rotate the file once it would grow past this size
+   * @param {boolean} [options.sampleLog.gzip=false] - Whether to gzip rotated files
+   * @param {boolean|object} [options.asyncHooks=false] - Track async resources with async_hooks and report suspected leaks
+   * @param {number} [options.asyncHooks.maxAge=10000] - Age in milliseconds after which an unsettled resource is a suspect
+   * @param {number} [options.asyncHooks.maxStacks=1000] - Live resources whose creation stack is kept at a time
+   * @param {number} [options.asyncHooks.maxTracked=100000] - Live resources followed at a time, later ones are only counted
+   * @param {number} [options.asyncHooks.top=10] - Suspected leak sites listed in the report
+   * @param {Object<string, number>} [options.budgets] - Maximum per budget: peakMemory, peakHeap, peakRss (bytes), averageCpu, peakCpu, gcTime (%), eventLoopP99, eventLoopMax, duration, timeOverTarget (ms) or alerts
+   * @param {boolean} [options.cluster=false] - Cluster mode: a worker sends its samples to the primary, the primary reports on every worker
+   * @throws {Error} When name option is not provided or a budget is invalid
+   * @example
+   * const diagnostics = new Diagnostics({
+   *   name: 'MyApp',
+   *   interval: 3000,
+   *   threshold: 500_000_000,
+   *   alert: (info) => console.log('Memory alert!', info)
+   * });
+   */
+  constructor(options = {}) {
+    super();
+
+    // Validate required options
+    if (!options.name) {
+      throw new Error('Diagnostics requires a "name" option');
+    }
+
+    // Set options with defaults
+    /** @type {string} Label for this diagnostic session */
+    this.name = options.name;
+    /** @type {number} Sampling interval in milliseconds */
+    this.interval = options.interval || 5000;
     /** @type {number|null} Memory threshold in bytes for alerts */
     this.threshold = options.threshold || null;
     /** @type {function} Alert callback function */
     this.alert = options.alert || (() => {});
+    /** @type {AlertRule|null} Built-in rule backing the memory threshold */
+    this.thresholdRule = this.threshold
+      ? new AlertRule({ name: 'threshold', metric: 'total', above: this.threshold })
+      : null;
+    /** @type {AlertRule[]} Alert rules, starting with the threshold rule when there is one */
+    this.rules = (options.rules || []).map(rule => new AlertRule(rule));
+    if (this.thresholdRule) {
+      this.rules.unshift(this.thresholdRule);
+    }
     /** @type {number|null} Target memory consumption in bytes */
     this.target = options.target || null;
+    /** @type {Object<string, number>|null} Maximum per budget, evaluated by report() */
+    this.budgets = options.budgets ? validateBudgets({ ...options.budgets }) : null;
     /** @type {boolean} Whether to monitor event loop lag */
     this.monitorEventLoop = options.monitorEventLoop !== false;
+    /** @type {boolean} Whether to observe garbage collection pauses */
+    this.monitorGC = options.monitorGC !== false;
+    /** @type {boolean} Whether to capture per-heap-space usage in each sample */
+    this.heapSpaces = options.heapSpaces === true;
+    /** @type {HeapSnapshotCapture|null} Heap snapshot writer used when the threshold is exceeded */
+    this.heapSnapshot = options.heapSnapshot
+      ? new HeapSnapshotCapture(options.heapSnapshot === true ? {} : options.heapSnapshot)
+      : null;
+    /** @type {number} Maximum raw samples retained per series */
+    this.maxSamples =
+      options.maxSamples === undefined ? DEFAULT_MAX_SAMPLES : options.maxSamples || Infinity;
+    /** @type {number|null} Maximum age in milliseconds of retained raw samples */
+    this.retention = options.retention || null;
+    /** @type {number} Event loop lag in milliseconds counted as a stall */
+    this.stallThreshold = options.stallThreshold || DEFAULT_STALL_THRESHOLD;
 
     // Internal state
     /** @type {boolean} Whether diagnostics collection is currently running */
@@ -252,10 +4070,16 @@ class Diagnostics {
     this.endTime = null;
     /** @type {NodeJS.Timeout|null} Interval handle for periodic sampling */
     this.intervalHandle = null;
-    /** @type {MemorySnapshot[]} Array of collected memory snapshots */
-    this.memorySamples = [];
-    /** @type {CPUSnapshot[]} Array of collected CPU snapshots */
-    this.cpuSamples = [];
+    /** @type {SampleBuffer} Most recent memory snapshots */
+    this.memorySamples = this._createBuffer();
+    /** @type {SampleBuffer} Most recent CPU snapshots */
+    this.cpuSamples = this._createBuffer();
+    /** @type {SampleBuffer} Largest event loop lag of each recent sample */
+    this.lagSamples = this._createBuffer();
+    /** @type {SampleBuffer} Most recent alert rule transitions */
+    this.alertHistory = new SampleBuffer(DEFAULT_MAX_SAMPLES);
+    /** @type {object} Running aggregates over every sample taken this session */
+    this.aggregates = this._createAggregates();
     /** @type {number} Count of times threshold alert was triggered */
     this.alertTriggerCount = 0;
     /** @type {number} Total time spent over target memory */
@@ -263,114 +4087,644 @@ class Diagnostics {
     /** @type {number|null} Last timestamp for target tracking */
     this.lastTargetCheck = null;
     /** @type {EventLoopMonitor} Event loop lag monitor instance */
-    this.eventLoopMonitor = new EventLoopMonitor();
+    this.eventLoopMonitor = new EventLoopMonitor({
+      resolution: options.eventLoopResolution,
+      stallThreshold: this.stallThreshold,
+      onLag: lag => {
+        if (this.currentPhase) this.currentPhase.stats.lag.add(lag);
+      }
+    });
+    /** @type {Map<string, PhaseStats>} Statistics per phase name, in order of first use */
+    this.phases = new Map();
+    /** @type {object|null} Open timeline segment */
+    this.currentPhase = null;
+    /** @type {Array<{name: string, timestamp: number}>} Start of every timeline segment */
+    this.marks = [];
+    /** @type {Map<string, OperationStats>} Timed operations by label, in order of first use */
+    this.operations = new Map();
+    /** @type {GCMonitor} Garbage collection pause monitor instance */
+    this.gcMonitor = new GCMonitor();
+    /** @type {WorkerMonitor} Samples of the worker threads attached to this session */
+    this.workerMonitor = new WorkerMonitor();
+    /** @type {ResourceTracker} Active handle and request counts by resource type */
+    this.resourceTracker = new ResourceTracker();
+    /** @type {AsyncTracker|null} async_hooks based tracking of async resources that never settle */
+    this.asyncTracker = options.asyncHooks
+      ? new AsyncTracker(options.asyncHooks === true ? {} : options.asyncHooks)
+      : null;
+
+    /** @type {ExitFlusher|null} Writes the report when the process ends, installed by start() */
+    this.exitFlusher = null;
+    if (options.flushOnExit) {
+      let flushOptions = options.flushOnExit === true ? {} : options.flushOnExit;
+      if (typeof flushOptions === 'string') flushOptions = { path: flushOptions };
+      this.exitFlusher = new ExitFlusher(this, flushOptions);
+    }
+
+    /** @type {ClusterMonitor|null} Sends samples to, or collects them on, the cluster primary */
+    this.clusterMonitor = options.cluster ? new ClusterMonitor() : null;
+
+    /** @type {SampleLog|null} NDJSON file every sample is appended to */
+    this.sampleLog = options.sampleLog
+      ? new SampleLog(
+          typeof options.sampleLog === 'string' ? { path: options.sampleLog } : options.sampleLog
+        )
+      : null;
+
+    // Collect initial system info
+    /** @type {object} Static system information */
+    this.systemInfo = this._collectSystemInfo();
+  }
+
+  /**
+   * Creates an empty sample buffer honoring the retention options
+   * @private
+   * @returns {SampleBuffer} Empty sample buffer
+   */
+  _createBuffer() {
+    return new SampleBuffer(this.maxSamples, this.retention);
+  }
+
+  /**
+   * Creates empty running aggregates for every sampled series
+   * @private
+   * @returns {{total: RunningStats, heapUsed: RunningStats, rss: RunningStats, cpu: RunningStats, heapSpaces: Object<string, RunningStats>, heapTrend: MemoryTrend, rssTrend: MemoryTrend}}
+   */
+  _createAggregates() {
+    return {
+      total: new RunningStats(),
+      heapUsed: new RunningStats(),
+      rss: new RunningStats(),
+      cpu: new RunningStats(),
+      heapSpaces: {},
+      heapTrend: new MemoryTrend(),
+      rssTrend: new MemoryTrend()
+    };
+  }
+
+  /**
+   * Collects static system information including OS, Node.js, and process details
+   * @private
+   * @returns {object} System information object
+   */
+  _collectSystemInfo() {
+    return safeExecute(
+      () => ({
+        // OS Information
+        platform: os.platform(),
+        arch: os.arch(),
+        release: os.release(),
+        hostname: os.hostname(),
+        cpus: os.cpus().map(cpu => ({
+          model: cpu.model,
+          speed: cpu.speed
+        })),
+        totalMemory: os.totalmem(),
+
+        // Node.js Information
+        nodeVersion: process.version,
+        v8Version: process.versions.v8,
+        modules: process.versions.modules,
+
+        // Process Information
+        pid: process.pid,
+        ppid: process.ppid,
+        execPath: process.execPath,
+        argv: process.argv,
+        execArgv: process.execArgv,
+        env: {
+          NODE_ENV: process.env.NODE_ENV,
+          NODE_OPTIONS: process.env.NODE_OPTIONS
+        },
+
+        // V8 Heap Statistics
+        heapStatistics: v8.getHeapStatistics(),
+
+        // Resource Limits (if available)
+        resourceLimits: safeExecute(
+          () => ({
+            maxOldSpaceSize: v8.getHeapStatistics().heap_size_limit,
+            maxSemiSpaceSize: v8.getHeapStatistics().malloced_memory,
+            maxExecutableSize: v8.getHeapStatistics().peak_malloced_memory
+          }),
+          {}
+        )
+      }),
+      {}
+    );
+  }
+
+  /**
+   * Takes a single sample of memory and CPU usage, checks thresholds and tracks targets
+   * @private
+   */
+  _takeSample() {
+    try {
+      const memSample = new MemorySnapshot({ heapSpaces: this.heapSpaces });
+      const lastCpuSample = this.cpuSamples.last();
+      const cpuSample = new CPUSnapshot(lastCpuSample);
+      // Event loop lag since the previous sample
+      const eventLoopLag = this.monitorEventLoop ? this.eventLoopMonitor.takeWindowMax() : 0;
+      const resources = ResourceTracker.capture();
+
+      const sample = this._recordSample(
+        memSample,
+        cpuSample,
+        Boolean(lastCpuSample),
+        eventLoopLag,
+        {},
+        resources
+      );
+      if (this.sampleLog) {
+        this.sampleLog.write({
+          type: 'sample',
+          timestamp: sample.timestamp,
+          memory: {
+            rss: memSample.rss,
+            heapTotal: memSample.heapTotal,
+            heapUsed: memSample.heapUsed,
+            external: memSample.external,
+            arrayBuffers: memSample.arrayBuffers,
+            heapSpaces: memSample.heapSpaces || undefined
+          },
+          cpu: { ...cpuSample.usage, percentage: cpuSample.percentage },
+          eventLoopLag,
+          resources: resources || undefined,
+          metrics: sample.metrics,
+          custom: sample.custom
+        });
+      }
+      if (this.clusterMonitor) {
+        this.clusterMonitor.publish(this.name, sample);
+      }
+      this._emit('sample', sample);
+    } catch {
+      // Silently ignore errors to not affect the host application
+    }
+  }
+
+  /**
+   * Adds a memory and CPU snapshot to the aggregates, phase and target tracking and alert rules
+   * @private
+   * @param {MemorySnapshot} memSample - Memory snapshot
+   * @param {CPUSnapshot} cpuSample - CPU snapshot
+   * @param {boolean} hasCpuBaseline - Whether a previous CPU snapshot gives the percentage meaning
+   * @param {number} eventLoopLag - Largest event loop lag since the previous sample in milliseconds
+   * @param {Object<string, number>} [custom={}] - Known custom metric values, e.g. from a sample log
+   * @param {Object<string, number>|null} [resources=null] - Active resource count per type
+   * @returns {object} Sample as passed to `sample` listeners
+   */
+  _recordSample(memSample, cpuSample, hasCpuBaseline, eventLoopLag, custom = {}, resources = null) {
+    // Memory sample
+    this.memorySamples.push(memSample);
+    this.aggregates.total.add(memSample.total, memSample.timestamp);
+    this.aggregates.heapUsed.add(memSample.heapUsed, memSample.timestamp);
+    this.aggregates.rss.add(memSample.rss, memSample.timestamp);
+    this.aggregates.heapTrend.add(memSample.heapUsed, memSample.timestamp);
+    this.aggregates.rssTrend.add(memSample.rss, memSample.timestamp);
+    if (memSample.heapSpaces) {
+      for (const [space, stats] of Object.entries(memSample.heapSpaces)) {
+        if (!this.aggregates.heapSpaces[space]) {
+          this.aggregates.heapSpaces[space] = new RunningStats();
+        }
+        this.aggregates.heapSpaces[space].add(stats.used, memSample.timestamp);
+      }
+    }
+
+    // CPU sample
+    this.cpuSamples.push(cpuSample);
+    this.lagSamples.push({ timestamp: memSample.timestamp, lag: eventLoopLag });
+    this.resourceTracker.add(resources);
+    this.workerMonitor.sample(memSample.timestamp);
+    if (this.clusterMonitor) {
+      this.clusterMonitor.sample(memSample.timestamp);
+    }
+    // The first snapshot has no baseline to compute a percentage from
+    if (hasCpuBaseline) {
+      this.aggregates.cpu.add(cpuSample.percentage, cpuSample.timestamp);
+    }
+
+    // Attribute the sample to the open phase
+    if (this.currentPhase) {
+      this.currentPhase.stats.memory.add(memSample.heapUsed, memSample.timestamp);
+      if (hasCpuBaseline) {
+        this.currentPhase.stats.cpu.add(cpuSample.percentage);
+      }
+    }
+
+    // Evaluate alert rules
+    const sample = {
+      timestamp: memSample.timestamp,
+      memory: memSample,
+      cpu: cpuSample,
+      eventLoopLag,
+      resources,
+      metrics: {
+        total: memSample.total,
+        heapUsed: memSample.heapUsed,
+        heapTotal: memSample.heapTotal,
+        rss: memSample.rss,
+        external: memSample.external,
+        arrayBuffers: memSample.arrayBuffers,
+        // Without a baseline the first CPU snapshot has no meaningful percentage
+        cpu: hasCpuBaseline ? cpuSample.percentage : NaN,
+        eventLoopLag
+      },
+      custom: { ...custom }
+    };
+    for (const rule of this.rules) {
+      const value = this._evaluateRule(rule, sample);
+      if (typeof rule.metric === 'function') {
+        sample.custom[rule.name] = value;
+      }
+    }
+
+    // Track time over/under target
+    if (this.target) {
+      const now = memSample.timestamp;
+      if (this.lastTargetCheck) {
+        const timeDelta = now - this.lastTargetCheck;
+        if (memSample.total > this.target) {
+          this.timeOverTarget += timeDelta;
+        }
+      }
+      this.lastTargetCheck = now;
+    }
+
+    return sample;
+  }
+
+  /**
+   * Evaluates one alert rule against a sample and notifies the alert callback on transitions
+   * @private
+   * @param {AlertRule} rule - Rule to evaluate
+   * @param {object} sample - Current sample
+   * @returns {number} Value the rule read from the sample
+   */
+  _evaluateRule(rule, sample) {
+    const value = safeExecute(() => rule.read(sample), NaN);
+    const transition = rule.evaluate(value, sample.timestamp);
+    if (!transition) return value;
+
+    const triggered = transition === 'triggered';
+    if (triggered) {
+      this.alertTriggerCount++;
+    }
+    this.alertHistory.push({
+      timestamp: sample.timestamp,
+      rule: rule.name,
+      metric: rule.metricName,
+      state: transition,
+      value
+    });
+
+    const info = {
+      type: `rule_${transition}`,
+      state: transition,
+      rule: rule.name,
+      metric: rule.metricName,
+      value,
+      limit: rule.limit,
+      formatted: {
+        value: formatMetricValue(rule.metricName, value),
+        limit: formatMetricValue(rule.metricName, rule.limit)
+      },
+      duration: triggered ? 0 : rule.lastResolved - rule.lastTriggered,
+      timestamp: Date.now(),
+      heapSnapshot: null,
+      name: this.name
+    };
+
+    // The built-in threshold rule keeps its original payload shape
+    if (rule === this.thresholdRule) {
+      info.type = triggered ? 'threshold_exceeded' : 'threshold_resolved';
+      info.memory = {
+        current: value,
+        threshold: this.threshold,
+        formatted: {
+          current: formatBytes(value),
+          threshold: formatBytes(this.threshold)
+        }
+      };
+      if (triggered && this.heapSnapshot) {
+        info.heapSnapshot = this.heapSnapshot.capture(this.name, sample.memory.heapTotal);
+      }
+    }
+
+    safeExecute(() => this.alert(info));
+    this._emit('alert', info);
+    return value;
+  }
+
+  /**
+   * Emits an event, calling each listener in isolation so a throwing listener
+   * neither breaks the host application nor stops the other listeners
+   * @private
+   * @param {string} event - Event name
+   * @param {*} payload - Event payload
+   * @returns {boolean} Whether the event had listeners
+   */
+  _emit(event, payload) {
+    const listeners = this.rawListeners(event);
+    for (const listener of listeners) {
+      safeExecute(() => listener.call(this, payload));
+    }
+    return listeners.length > 0;
+  }
+
+  /**
+   * Builds the session record written at the top of every sample log file
+   * @private
+   * @returns {object} Session record with everything fromLog() needs to rebuild the session
+   */
+  _logHeader() {
+    return {
+      type: 'start',
+      timestamp: this.startTime,
+      name: this.name,
+      pid: process.pid,
+      interval: this.interval,
+      threshold: this.threshold,
+      target: this.target,
+      stallThreshold: this.stallThreshold,
+      heapSpaces: this.heapSpaces,
+      budgets: this.budgets,
+      // Custom metric functions can't be serialized; their logged values stand in for them
+      rules: this.rules
+        .filter(rule => rule !== this.thresholdRule)
+        .map(rule => ({
+          name: rule.name,
+          metric: rule.metricName,
+          [rule.direction]: rule.limit,
+          clear: rule.clear,
+          for: rule.for,
+          cooldown: rule.cooldown
+        })),
+      infos: this.systemInfo
+    };
+  }
+
+  /**
+   * Feeds the records of a sample log through the same bookkeeping as live sampling
+   * @private
+   * @param {object[]} records - Records of one session, in time order
+   */
+  _replay(records) {
+    const boundary = record => ({
+      memory: MemorySnapshot.fromJSON(record, record.timestamp),
+      cpu: record.cpu
+    });
+    let last = null;
+
+    for (const record of records) {
+      if (record.type === 'sample') {
+        const memSample = MemorySnapshot.fromJSON(record.memory, record.timestamp);
+        const cpuSample = CPUSnapshot.fromJSON(record.cpu, record.timestamp);
+        const lag = record.eventLoopLag || 0;
+        this.eventLoopMonitor.record(lag);
+        this._recordSample(
+          memSample,
+          cpuSample,
+          last !== null,
+          lag,
+          record.custom,
+          record.resources || null
+        );
+        last = record;
+      } else if (record.type === 'phase') {
+        this._beginPhase(record.name, boundary(record));
+      } else if (record.type === 'phase_end') {
+        this._endPhase(boundary(record));
+      } else if (record.type === 'stop') {
+        this.endTime = record.timestamp;
+        if (record.eventLoop) this.eventLoopMonitor.restored = record.eventLoop;
+        if (record.gc) this.gcMonitor.restored = record.gc;
+      }
+    }
 
-    // Collect initial system info
-    /** @type {object} Static system information */
-    this.systemInfo = this._collectSystemInfo();
+    // A log cut short by a crash ends with its last sample; stop() takes its final sample
+    // after reading the end time, so a logged stop record wins even when it is earlier
+    if (last && this.endTime === null) {
+      this.endTime = last.timestamp;
+    }
+    if (last && this.currentPhase) {
+      this._endPhase({
+        memory: MemorySnapshot.fromJSON(last.memory, last.timestamp),
+        cpu: { user: last.cpu.user, system: last.cpu.system }
+      });
+    }
   }
 
   /**
-   * Collects static system information including OS, Node.js, and process details
+   * Captures the memory and CPU counters that bound a timeline segment
    * @private
-   * @returns {object} System information object
+   * @returns {{memory: MemorySnapshot, cpu: {user: number, system: number}}} Phase boundary
    */
-  _collectSystemInfo() {
-    return safeExecute(
-      () => ({
-        // OS Information
-        platform: os.platform(),
-        arch: os.arch(),
-        release: os.release(),
-        hostname: os.hostname(),
-        cpus: os.cpus().map(cpu => ({
-          model: cpu.model,
-          speed: cpu.speed
-        })),
-        totalMemory: os.totalmem(),
+  _phaseBoundary() {
+    return { memory: new MemorySnapshot(), cpu: process.cpuUsage() };
+  }
 
-        // Node.js Information
-        nodeVersion: process.version,
-        v8Version: process.versions.v8,
-        modules: process.versions.modules,
+  /**
+   * Appends a phase boundary to the sample log
+   * @private
+   * @param {object} record - Record fields besides the boundary counters
+   * @param {{memory: MemorySnapshot, cpu: {user: number, system: number}}} boundary - Phase boundary
+   */
+  _logPhase(record, boundary) {
+    if (!this.sampleLog) return;
+    this.sampleLog.write({
+      ...record,
+      timestamp: boundary.memory.timestamp,
+      heapUsed: boundary.memory.heapUsed,
+      rss: boundary.memory.rss,
+      cpu: boundary.cpu
+    });
+  }
 
-        // Process Information
-        pid: process.pid,
-        ppid: process.ppid,
-        execPath: process.execPath,
-        argv: process.argv,
-        execArgv: process.execArgv,
-        env: {
-          NODE_ENV: process.env.NODE_ENV,
-          NODE_OPTIONS: process.env.NODE_OPTIONS
-        },
+  /**
+   * Opens a new timeline segment for a phase, closing the current one
+   * @private
+   * @param {string} name - Phase name
+   * @param {object} [boundary] - Counters at the boundary, captured now when omitted
+   */
+  _beginPhase(name, boundary = this._phaseBoundary()) {
+    this._endPhase(boundary);
 
-        // V8 Heap Statistics
-        heapStatistics: v8.getHeapStatistics(),
+    if (!this.phases.has(name)) {
+      this.phases.set(name, new PhaseStats(name));
+    }
+    const stats = this.phases.get(name);
+    const { memory, cpu } = boundary;
 
-        // Resource Limits (if available)
-        resourceLimits: safeExecute(
-          () => ({
-            maxOldSpaceSize: v8.getHeapStatistics().heap_size_limit,
-            maxSemiSpaceSize: v8.getHeapStatistics().malloced_memory,
-            maxExecutableSize: v8.getHeapStatistics().peak_malloced_memory
-          }),
-          {}
-        )
-      }),
-      {}
-    );
+    stats.segments++;
+    if (stats.startTime === null) stats.startTime = memory.timestamp;
+    stats.memory.add(memory.heapUsed, memory.timestamp);
+
+    this.currentPhase = { name, stats, memory, cpu };
+    this.marks.push({ name, timestamp: memory.timestamp });
+    this._logPhase({ type: 'phase', name }, boundary);
   }
 
   /**
-   * Takes a single sample of memory and CPU usage, checks thresholds and tracks targets
+   * Closes the open timeline segment, if any
    * @private
+   * @param {object} [boundary] - Counters at the boundary, captured now when omitted
    */
-  _takeSample() {
+  _endPhase(boundary) {
+    const phase = this.currentPhase;
+    if (!phase) return;
+    this.currentPhase = null;
+
+    safeExecute(() => {
+      const { memory, cpu } = boundary || this._phaseBoundary();
+      const { stats } = phase;
+
+      stats.memory.add(memory.heapUsed, memory.timestamp);
+      stats.duration += memory.timestamp - phase.memory.timestamp;
+      stats.memoryDelta += memory.heapUsed - phase.memory.heapUsed;
+      stats.rssDelta += memory.rss - phase.memory.rss;
+      stats.cpuMicros += cpu.user - phase.cpu.user + (cpu.system - phase.cpu.system);
+      stats.endTime = memory.timestamp;
+      this._logPhase({ type: 'phase_end', name: phase.name }, { memory, cpu });
+    });
+  }
+
+  /**
+   * Marks the start of a named phase; everything until the next mark (or stop) belongs to it
+   * @param {string} name - Phase name; reusing a name adds to the same phase in the report
+   * @returns {Diagnostics} Returns this instance for method chaining
+   * @example
+   * diagnostics.mark('load');
+   * await load();
+   * diagnostics.mark('transform');
+   */
+  mark(name) {
+    safeExecute(() => this._beginPhase(String(name)));
+    return this;
+  }
+
+  /**
+   * Runs a function as a named phase. Async functions end the phase when their promise settles.
+   * The phase that was open before, if any, resumes afterwards.
+   * @param {string} name - Phase name
+   * @param {function(): *} fn - Work to run; its result or promise is returned, errors are rethrown
+   * @returns {*} Whatever `fn` returns
+   * @example
+   * const rows = await diagnostics.phase('load', () => readRows());
+   */
+  phase(name, fn) {
+    const previous = this.currentPhase ? this.currentPhase.name : null;
+    const finish = () => {
+      safeExecute(() => (previous ? this._beginPhase(previous) : this._endPhase()));
+    };
+
+    this.mark(name);
+    let result;
     try {
-      // Memory sample
-      const memSample = new MemorySnapshot();
-      this.memorySamples.push(memSample);
+      result = fn();
+    } catch (error) {
+      finish();
+      throw error;
+    }
 
-      // CPU sample
-      const lastCpuSample = this.cpuSamples[this.cpuSamples.length - 1] || null;
-      const cpuSample = new CPUSnapshot(lastCpuSample);
-      this.cpuSamples.push(cpuSample);
-
-      // Check threshold
-      if (this.threshold && memSample.total > this.threshold) {
-        this.alertTriggerCount++;
-        safeExecute(() => {
-          this.alert({
-            type: 'threshold_exceeded',
-            timestamp: Date.now(),
-            memory: {
-              current: memSample.total,
-              threshold: this.threshold,
-              formatted: {
-                current: formatBytes(memSample.total),
-                threshold: formatBytes(this.threshold)
-              }
-            },
-            name: this.name
-          });
-        });
-      }
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        value => {
+          finish();
+          return value;
+        },
+        error => {
+          finish();
+          throw error;
+        }
+      );
+    }
 
-      // Track time over/under target
-      if (this.target) {
-        const now = Date.now();
-        if (this.lastTargetCheck) {
-          const timeDelta = now - this.lastTargetCheck;
-          if (memSample.total > this.target) {
-            this.timeOverTarget += timeDelta;
-          }
+    finish();
+    return result;
+  }
+
+  /**
+   * Runs a function as a timed operation and records its duration, heap delta and outcome under
+   * the label. Async functions are measured until their promise settles.
+   * @param {string} label - Operation label
+   * @param {function(): *} fn - Work to run; its result or promise is returned, errors are rethrown
+   * @returns {*} Whatever `fn` returns
+   * @example
+   * const user = await diagnostics.time('db.getUser', () => db.getUser(id));
+   */
+  time(label, fn) {
+    const name = String(label);
+    // The heap alone is cheaper to read than process.memoryUsage(), which also reads RSS
+    const startHeap = safeExecute(() => v8.getHeapStatistics().used_heap_size, 0);
+    const startTime = performance.now();
+    const finish = failed => {
+      safeExecute(() => {
+        const duration = performance.now() - startTime;
+        const heapDelta = v8.getHeapStatistics().used_heap_size - startHeap;
+        if (!this.operations.has(name)) {
+          this.operations.set(name, new OperationStats(name));
         }
-        this.lastTargetCheck = now;
-      }
-    } catch {
-      // Silently ignore errors to not affect the host application
+        this.operations.get(name).record(duration, heapDelta, failed);
+      });
+    };
+
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      finish(true);
+      throw error;
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        value => {
+          finish(false);
+          return value;
+        },
+        error => {
+          finish(true);
+          throw error;
+        }
+      );
     }
+
+    finish(false);
+    return result;
+  }
+
+  /**
+   * Wraps a function so every call is timed as an operation, see time()
+   * @param {string} label - Operation label
+   * @param {function(...*): *} fn - Function to wrap
+   * @returns {function(...*): *} Function with the same arguments, `this` and result as `fn`
+   * @example
+   * app.get('/users/:id', diagnostics.wrap('GET /users/:id', handler));
+   */
+  wrap(label, fn) {
+    const diagnostics = this;
+    return function (...args) {
+      return diagnostics.time(label, () => fn.apply(this, args));
+    };
+  }
+
+  /**
+   * Attaches a worker thread to this session. The worker reports its own heap usage, event loop
+   * utilization and CPU once it calls Diagnostics.reportFromWorker(); the report lists every
+   * attached worker, their aggregate, and when each started and exited.
+   * @param {import('worker_threads').Worker} worker - Running worker
+   * @param {object} [options={}] - Attach options
+   * @param {string} [options.name] - Label in the report (default: worker-<threadId>)
+   * @returns {Diagnostics} Returns this instance for method chaining
+   * @throws {Error} When the worker is not running
+   * @example
+   * const worker = new Worker('./resize.js');
+   * diagnostics.attachWorker(worker, { name: 'resize' });
+   */
+  attachWorker(worker, options = {}) {
+    this.workerMonitor.attach(worker, options);
+    return this;
   }
 
   /**
@@ -387,20 +4741,51 @@ class Diagnostics {
 
     this.running = true;
     this.startTime = Date.now();
-    this.memorySamples = [];
-    this.cpuSamples = [];
+    this.memorySamples = this._createBuffer();
+    this.cpuSamples = this._createBuffer();
+    this.lagSamples = this._createBuffer();
+    this.alertHistory.clear();
+    this.aggregates = this._createAggregates();
+    this.resourceTracker.reset();
+    this.rules.forEach(rule => rule.reset());
+    this.phases = new Map();
+    this.currentPhase = null;
+    this.marks = [];
+    this.operations = new Map();
     this.alertTriggerCount = 0;
     this.timeOverTarget = 0;
     this.lastTargetCheck = Date.now();
+    if (this.sampleLog) {
+      this.sampleLog.open(this._logHeader());
+    }
+    if (this.heapSnapshot) {
+      this.heapSnapshot.prepare();
+    }
+    this._emit('start', { name: this.name, timestamp: this.startTime });
+    if (this.clusterMonitor) {
+      this.clusterMonitor.start();
+    }
 
     // Take initial sample
     this._takeSample();
 
     // Start event loop monitoring
+    this.eventLoopMonitor.reset();
     if (this.monitorEventLoop) {
       this.eventLoopMonitor.start();
     }
 
+    // Start garbage collection monitoring
+    this.gcMonitor.reset();
+    if (this.monitorGC) {
+      this.gcMonitor.start();
+    }
+
+    // Hooks stay installed after stop() so a stopped session is still written at exit
+    if (this.exitFlusher) {
+      this.exitFlusher.install();
+    }
+
     // Set up interval for periodic sampling
     this.intervalHandle = setInterval(() => {
       this._takeSample();
@@ -411,6 +4796,12 @@ class Diagnostics {
       this.intervalHandle.unref();
     }
 
+    // Started last so the session's own timers and listeners aren't counted
+    if (this.asyncTracker) {
+      this.asyncTracker.reset();
+      this.asyncTracker.start();
+    }
+
     return this;
   }
 
@@ -429,8 +4820,9 @@ class Diagnostics {
     this.running = false;
     this.endTime = Date.now();
 
-    // Take final sample
+    // Take final sample and close the open phase
     this._takeSample();
+    this._endPhase();
 
     // Clear interval
     if (this.intervalHandle) {
@@ -438,32 +4830,33 @@ class Diagnostics {
       this.intervalHandle = null;
     }
 
-    // Stop event loop monitoring
+    // Stop event loop and garbage collection monitoring
     this.eventLoopMonitor.stop();
+    this.gcMonitor.stop();
+    if (this.asyncTracker) {
+      this.asyncTracker.stop();
+    }
+    if (this.clusterMonitor) {
+      this.clusterMonitor.stop();
+    }
 
-    return this;
-  }
-
-  /**
-   * Calculates statistical metrics (peak, average, low) from sample arrays
-   * @private
-   * @param {Array} samples - Array of sample objects
-   * @param {function(any): number} [accessor] - Function to extract value from each sample
-   * @returns {{peak: number, average: number, low: number}} Statistical metrics
-   */
-  _calculateStats(samples, accessor = s => s) {
-    if (samples.length === 0) {
-      return { peak: 0, average: 0, low: 0 };
+    // The final distributions let a replay of the log report them exactly
+    if (this.sampleLog) {
+      this.sampleLog.close({
+        type: 'stop',
+        timestamp: this.endTime,
+        eventLoop: this.eventLoopMonitor.getStats(),
+        gc: this.gcMonitor.getStats()
+      });
     }
 
-    const values = samples.map(accessor);
-    const sum = values.reduce((a, b) => a + b, 0);
+    this._emit('stop', {
+      name: this.name,
+      timestamp: this.endTime,
+      duration: this.endTime - this.startTime
+    });
 
-    return {
-      peak: Math.max(...values),
-      average: sum / values.length,
-      low: Math.min(...values)
-    };
+    return this;
   }
 
   /**
@@ -484,17 +4877,29 @@ class Diagnostics {
     const duration = (this.endTime || Date.now()) - (this.startTime || Date.now());
     const timeUnderTarget = Math.max(0, duration - this.timeOverTarget);
 
-    // Calculate memory statistics
-    const memoryStats = this._calculateStats(this.memorySamples, s => s.total);
-    const heapStats = this._calculateStats(this.memorySamples, s => s.heapUsed);
-    const rssStats = this._calculateStats(this.memorySamples, s => s.rss);
-
-    // Calculate CPU statistics
-    const cpuStats = this._calculateStats(this.cpuSamples.slice(1), s => s.percentage);
+    // Memory and CPU statistics come from the running aggregates, not the retained samples
+    const memoryStats = this.aggregates.total.toStats();
+    const heapStats = this.aggregates.heapUsed.toStats();
+    const rssStats = this.aggregates.rss.toStats();
+    const cpuStats = this.aggregates.cpu.toStats();
+    const heapTrend = this.aggregates.heapTrend.getStats();
+    const rssTrend = this.aggregates.rssTrend.getStats();
+    const heapLimit = safeExecute(() => this.systemInfo.heapStatistics.heap_size_limit);
+    let heapSpaceStats = null;
+    if (this.heapSpaces) {
+      heapSpaceStats = {};
+      for (const [space, stats] of Object.entries(this.aggregates.heapSpaces)) {
+        heapSpaceStats[space] = toByteSection(stats.toStats());
+      }
+    }
 
     // Get event loop statistics
     const eventLoopStats = this.eventLoopMonitor.getStats();
 
+    // Get garbage collection statistics
+    const gcStats = this.gcMonitor.getStats();
+    const gcPercentage = duration > 0 ? (gcStats.total / duration) * 100 : 0;
+
     // Build the report object
     const report = {
       name: this.name,
@@ -512,6 +4917,10 @@ class Diagnostics {
           bytes: memoryStats.low,
           human: formatBytes(memoryStats.low)
         },
+        timeWeightedAverage: {
+          bytes: memoryStats.timeWeightedAverage,
+          human: formatBytes(memoryStats.timeWeightedAverage)
+        },
         heap: {
           peak: {
             bytes: heapStats.peak,
@@ -524,6 +4933,10 @@ class Diagnostics {
           low: {
             bytes: heapStats.low,
             human: formatBytes(heapStats.low)
+          },
+          timeWeightedAverage: {
+            bytes: heapStats.timeWeightedAverage,
+            human: formatBytes(heapStats.timeWeightedAverage)
           }
         },
         rss: {
@@ -538,8 +4951,13 @@ class Diagnostics {
           low: {
             bytes: rssStats.low,
             human: formatBytes(rssStats.low)
+          },
+          timeWeightedAverage: {
+            bytes: rssStats.timeWeightedAverage,
+            human: formatBytes(rssStats.timeWeightedAverage)
           }
-        }
+        },
+        spaces: heapSpaceStats
       },
 
       cpu: {
@@ -554,6 +4972,10 @@ class Diagnostics {
         low: {
           percentage: cpuStats.low,
           human: `${cpuStats.low.toFixed(2)}%`
+        },
+        timeWeightedAverage: {
+          percentage: cpuStats.timeWeightedAverage,
+          human: `${cpuStats.timeWeightedAverage.toFixed(2)}%`
         }
       },
 
@@ -570,10 +4992,79 @@ class Diagnostics {
           min: {
             ms: eventLoopStats.min,
             human: formatDuration(eventLoopStats.min)
-          }
+          },
+          p50: {
+            ms: eventLoopStats.p50,
+            human: formatDuration(eventLoopStats.p50)
+          },
+          p90: {
+            ms: eventLoopStats.p90,
+            human: formatDuration(eventLoopStats.p90)
+          },
+          p99: {
+            ms: eventLoopStats.p99,
+            human: formatDuration(eventLoopStats.p99)
+          },
+          p999: {
+            ms: eventLoopStats.p999,
+            human: formatDuration(eventLoopStats.p999)
+          },
+          stddev: {
+            ms: eventLoopStats.stddev,
+            human: formatDuration(eventLoopStats.stddev)
+          },
+          stalls: {
+            count: eventLoopStats.stalls,
+            threshold: {
+              ms: this.stallThreshold,
+              human: formatDuration(this.stallThreshold)
+            }
+          },
+          source: eventLoopStats.source
+        }
+      },
+
+      gc: {
+        ...toPauseSection(gcStats),
+        percentage: {
+          percentage: gcPercentage,
+          human: `${gcPercentage.toFixed(2)}%`
+        },
+        byKind: {
+          scavenge: toPauseSection(gcStats.byKind.scavenge),
+          markSweep: toPauseSection(gcStats.byKind.markSweep),
+          incremental: toPauseSection(gcStats.byKind.incremental),
+          weakCallbacks: toPauseSection(gcStats.byKind.weakCallbacks)
         }
       },
 
+      phases: [...this.phases.values()].map(phase => phase.summarize()),
+
+      operations: [...this.operations.values()].map(operation => operation.summarize()),
+
+      // Active handles and requests by resource type, null when the runtime can't list them
+      activeResources: this.resourceTracker.getStats(),
+
+      // Async resources by type and the oldest unsettled ones by creation site, null unless asyncHooks is set
+      async: this.asyncTracker ? this.asyncTracker.getStats(this.endTime || Date.now()) : null,
+
+      // Attached worker threads, null when none were attached
+      workers: this.workerMonitor.getStats(),
+
+      // Cluster workers seen by the primary in cluster mode, null otherwise
+      cluster: this.clusterMonitor ? this.clusterMonitor.getStats() : null,
+
+      // Retained samples downsampled for charts and sparklines
+      timeline: buildTimeline(
+        this.memorySamples,
+        this.cpuSamples,
+        this.lagSamples,
+        this.memorySamples.length === this.aggregates.total.count,
+        this.workerMonitor
+      ),
+
+      marks: this.marks.map(mark => ({ ...mark })),
+
       infos: this.systemInfo,
 
       clock: {
@@ -584,8 +5075,13 @@ class Diagnostics {
       },
 
       analysis: {
-        numSamples: this.memorySamples.length,
+        numSamples: this.aggregates.total.count,
+        numRetainedSamples: this.memorySamples.length,
+        maxSamples: this.maxSamples === Infinity ? null : this.maxSamples,
+        retention: this.retention,
         numOfAlertTriggers: this.alertTriggerCount,
+        alertHistory: this.alertHistory.toArray(),
+        rules: this.rules.map(rule => rule.summarize(this.endTime || Date.now())),
         timeOverTarget: this.timeOverTarget,
         timeOverTargetHuman: formatDuration(this.timeOverTarget),
         timeUnderTarget: timeUnderTarget,
@@ -602,7 +5098,20 @@ class Diagnostics {
               bytes: this.target,
               human: formatBytes(this.target)
             }
-          : null
+          : null,
+        heapSnapshots: this.heapSnapshot
+          ? this.heapSnapshot.snapshots.map(snapshot => ({
+              path: snapshot.path,
+              timestamp: snapshot.timestamp,
+              bytes: snapshot.bytes,
+              human: formatBytes(snapshot.bytes)
+            }))
+          : [],
+        trend: {
+          heap: toTrendSection(heapTrend),
+          rss: toTrendSection(rssTrend)
+        },
+        leak: analyzeLeak(heapTrend, heapLimit)
       },
 
       // Summary for quick overview
@@ -612,14 +5121,39 @@ class Diagnostics {
         averageMemory: formatBytes(memoryStats.average),
         peakCPU: `${cpuStats.peak.toFixed(2)}%`,
         averageCPU: `${cpuStats.average.toFixed(2)}%`,
-        samples: this.memorySamples.length,
+        gcTime: `${gcPercentage.toFixed(2)}%`,
+        samples: this.aggregates.total.count,
         alerts: this.alertTriggerCount
       }
     };
 
+    // Budgets judge the finished report, null when none are configured
+    report.budget = this.budgets ? evaluateBudgets(report, this.budgets) : null;
+
     return report;
   }
 
+  /**
+   * Evaluates the budgets on a final report and sets `process.exitCode` when any of them fails,
+   * unless the process is already set to fail with another code
+   * @param {object} [options={}] - Enforcement options
+   * @param {number} [options.exitCode=1] - Exit code when a budget fails
+   * @returns {{passed: boolean, failed: number, budgets: object[]}|null} Budget section of the report, null without budgets
+   * @example
+   * const diagnostics = new Diagnostics({ name: 'nightly-import', budgets: { peakHeap: 512 * 1024 * 1024 } });
+   * diagnostics.start();
+   * await runImport();
+   * diagnostics.enforceBudgets();
+   */
+  enforceBudgets(options = {}) {
+    const { budget } = this.report();
+    if (budget && !budget.passed && !process.exitCode) {
+      process.exitCode =
+        options.exitCode === undefined ? DEFAULT_BUDGET_EXIT_CODE : options.exitCode;
+    }
+    return budget;
+  }
+
   /**
    * Resets all collected data and stops collection if running
    * @returns {Diagnostics} Returns this instance for method chaining
@@ -628,13 +5162,35 @@ class Diagnostics {
    */
   reset() {
     this.stop();
-    this.memorySamples = [];
-    this.cpuSamples = [];
+    if (this.exitFlusher) {
+      this.exitFlusher.uninstall();
+    }
+    this.memorySamples = this._createBuffer();
+    this.cpuSamples = this._createBuffer();
+    this.lagSamples = this._createBuffer();
+    this.alertHistory.clear();
+    this.aggregates = this._createAggregates();
+    this.eventLoopMonitor.reset();
+    this.gcMonitor.reset();
+    this.workerMonitor.reset();
+    this.resourceTracker.reset();
+    if (this.asyncTracker) {
+      this.asyncTracker.reset();
+    }
+    if (this.clusterMonitor) {
+      this.clusterMonitor.reset();
+    }
+    this.rules.forEach(rule => rule.reset());
+    this.phases = new Map();
+    this.currentPhase = null;
+    this.marks = [];
+    this.operations = new Map();
     this.alertTriggerCount = 0;
     this.timeOverTarget = 0;
     this.lastTargetCheck = null;
     this.startTime = null;
     this.endTime = null;
+    this._emit('reset', { name: this.name, timestamp: Date.now() });
     return this;
   }
 
@@ -649,24 +5205,399 @@ class Diagnostics {
     return {
       running: this.running,
       name: this.name,
-      samplesCollected: this.memorySamples.length,
+      samplesCollected: this.aggregates.total.count,
       uptime: this.running ? Date.now() - this.startTime : 0
     };
   }
+
+  /**
+   * Reports the calling worker thread to the Diagnostics session it was attached to on the main
+   * thread. Posting stops on its own when the worker exits, or with stop().
+   * @static
+   * @param {object} [options={}] - Reporter options
+   * @param {number} [options.interval=1000] - Milliseconds between two samples
+   * @returns {{stop: function(): void}} Handle that posts a final sample and stops reporting
+   * @throws {Error} When called on the main thread
+   * @example
+   * // resize.js, running in a worker
+   * const reporter = Diagnostics.reportFromWorker({ interval: 500 });
+   */
+  static reportFromWorker(options = {}) {
+    const reporter = new WorkerReporter(options).start();
+    return { stop: () => reporter.stop() };
+  }
+
+  /**
+   * Benchmarks a function under a dedicated session: after a warmup, it times rounds of
+   * `iterations` calls until `time` milliseconds have passed (at least 5 rounds), then measures
+   * heap allocations over 5 more rounds. A garbage collection is forced before each round when
+   * `global.gc` is exposed (node --expose-gc). Async functions are awaited one call at a time.
+   * @static
+   * @param {string} name - Benchmark name, also the session name
+   * @param {function(): *} fn - Function to benchmark
+   * @param {object} [options={}] - Benchmark options
+   * @param {number} [options.iterations=100] - Calls per measured round
+   * @param {number} [options.warmup=10] - Calls run before measuring
+   * @param {number} [options.time=1000] - Milliseconds to keep measuring for
+   * @param {number} [options.interval=5000] - Sampling interval of the dedicated session in milliseconds
+   * @returns {Promise<object>} Ops/sec with its 95% confidence interval, time and bytes per operation, CPU, and the session report
+   * @throws {Error} When fn is not a function, or rethrows what fn throws
+   * @example
+   * const result = await Diagnostics.bench('JSON.parse', () => JSON.parse(payload));
+   * console.log(result.opsPerSecond.human, result.memory.perOperation.human);
+   */
+  static async bench(name, fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new Error('Diagnostics.bench() requires a function to benchmark');
+    }
+    const iterations = options.iterations || DEFAULT_BENCH_ITERATIONS;
+    const warmup = options.warmup === undefined ? DEFAULT_BENCH_WARMUP : options.warmup;
+    const time = options.time === undefined ? DEFAULT_BENCH_TIME : options.time;
+    const gc = typeof global.gc === 'function' ? global.gc : null;
+
+    // Only awaits when fn turns out to be async, so sync functions are timed without the overhead
+    const run = async count => {
+      for (let i = 0; i < count; i++) {
+        const result = fn();
+        if (result && typeof result.then === 'function') await result;
+      }
+    };
+
+    const session = new Diagnostics({ name, interval: options.interval });
+    session.start();
+    const opTimes = new RunningStats();
+    const allocations = new RunningStats();
+    let measured = 0;
+    let cpuMicros = 0;
+
+    try {
+      await run(warmup);
+
+      const deadline = performance.now() + time;
+      while (opTimes.count < MIN_BENCH_ROUNDS || performance.now() < deadline) {
+        if (gc) gc();
+        const startCpu = process.cpuUsage();
+        const start = performance.now();
+        await run(iterations);
+        const elapsed = performance.now() - start;
+        const cpu = process.cpuUsage(startCpu);
+
+        measured += elapsed;
+        cpuMicros += cpu.user + cpu.system;
+        opTimes.add(elapsed / iterations);
+      }
+
+      // Recording collections slows them down, so allocations get rounds of their own
+      for (let round = 0; round < MIN_BENCH_ROUNDS; round++) {
+        if (gc) gc();
+        const profiler = startGCProfiler();
+        const startHeap = v8.getHeapStatistics().used_heap_size;
+        await run(iterations);
+        const endHeap = v8.getHeapStatistics().used_heap_size;
+        const collections = profiler ? safeExecute(() => profiler.stop().statistics) : null;
+        const allocated = allocatedBytes(startHeap, endHeap, collections);
+        if (allocated !== null) allocations.add(allocated / iterations);
+      }
+    } finally {
+      session.stop();
+    }
+
+    // Relative margin of the mean time per operation, which carries over to its inverse
+    const relativeMargin = opTimes.mean > 0 ? (confidenceMargin(opTimes) / opTimes.mean) * 100 : 0;
+    const hz = opTimes.mean > 0 ? 1000 / opTimes.mean : 0;
+    const cpuPercentage = measured > 0 ? (cpuMicros / (measured * 1000)) * 100 : 0;
+    const toOpTime = ms => ({ ms, human: formatOpTime(ms) });
+    const toBytes = bytes => ({ bytes, human: formatBytes(Math.round(bytes)) });
+    const toOps = ops => ({ ops, human: `${Math.round(ops).toLocaleString('en-US')} ops/sec` });
+
+    return {
+      name,
+      iterations: opTimes.count * iterations,
+      rounds: opTimes.count,
+      warmup,
+      gcForced: gc !== null,
+      opsPerSecond: {
+        ops: hz,
+        human: `${toOps(hz).human} ±${relativeMargin.toFixed(2)}%`,
+        low: toOps(Math.max(0, hz * (1 - relativeMargin / 100))),
+        high: toOps(hz * (1 + relativeMargin / 100)),
+        margin: { percentage: relativeMargin, human: `±${relativeMargin.toFixed(2)}%` }
+      },
+      time: {
+        mean: toOpTime(opTimes.mean),
+        min: toOpTime(opTimes.count > 0 ? opTimes.min : 0),
+        max: toOpTime(opTimes.count > 0 ? opTimes.max : 0),
+        total: toMsMetric(Math.round(measured))
+      },
+      memory: {
+        perOperation: toBytes(allocations.mean),
+        // Rounds the allocation could be measured in; without v8.GCProfiler, rounds a collection
+        // ran in are left out
+        rounds: allocations.count
+      },
+      cpu: { percentage: cpuPercentage, human: `${cpuPercentage.toFixed(2)}%` },
+      report: session.report()
+    };
+  }
+
+  /**
+   * Rebuilds a report from one or more sample log files (plain or gzipped), e.g. the active file
+   * and its rotations. Records are ordered by time and the latest session in them is replayed.
+   * @static
+   * @param {string|string[]} paths - Log file or files
+   * @returns {Promise<object>} Report as returned by report() at the end of the logged session
+   * @throws {Error} When the files contain no session record
+   * @example
+   * const report = await Diagnostics.fromLog(['samples.ndjson.1.gz', 'samples.ndjson']);
+   */
+  static async fromLog(paths) {
+    const files = Array.isArray(paths) ? paths : [paths];
+    const records = [];
+    for (const file of files) {
+      records.push(...(await SampleLog.read(file)));
+    }
+    // Stable sort keeps same-millisecond records in file order
+    records.sort((a, b) => a.timestamp - b.timestamp);
+
+    const starts = records.filter(record => record.type === 'start' && !record.continued);
+    const header =
+      starts.length > 0 ? starts[starts.length - 1] : records.find(r => r.type === 'start');
+    if (!header) {
+      throw new Error(`Sample log has no session record: ${files.join(', ')}`);
+    }
+
+    const rules = (header.rules || []).map(rule =>
+      rule.metric === 'custom'
+        ? {
+            ...rule,
+            // Logged values of custom metrics stand in for the functions that produced them
+            metric: sample => {
+              const value = sample.custom[rule.name];
+              return typeof value === 'number' ? value : NaN;
+            }
+          }
+        : rule
+    );
+    const diagnostics = new Diagnostics({
+      name: header.name,
+      interval: header.interval,
+      threshold: header.threshold,
+      target: header.target,
+      stallThreshold: header.stallThreshold,
+      heapSpaces: header.heapSpaces,
+      budgets: header.budgets,
+      rules
+    });
+    if (header.infos) {
+      diagnostics.systemInfo = header.infos;
+    }
+    diagnostics.startTime = header.timestamp;
+    diagnostics.lastTargetCheck = header.timestamp;
+    diagnostics._replay(records.filter(record => record.timestamp >= header.timestamp));
+    return diagnostics.report();
+  }
+
+  /**
+   * Compares two reports and flags metrics that got worse or better beyond a tolerance.
+   * Every compared metric (memory, CPU, event loop lag, GC time, phases, duration) is better when lower.
+   * @static
+   * @param {object} baseline - Report of the reference run
+   * @param {object} current - Report of the run being judged
+   * @param {object} [options={}] - Comparison options
+   * @param {number} [options.tolerance=0.1] - Relative change ignored for every metric (0.1 = 10%)
+   * @param {Object<string, number>} [options.tolerances] - Relative tolerance per metric path prefix
+   * @param {Object<string, number>} [options.minimums] - Absolute change ignored per unit (bytes, ms, percentage, count)
+   * @returns {{verdict: string, regressions: object[], improvements: object[], metrics: object[], summary: string}} Comparison result
+   * @example
+   * const result = Diagnostics.compare(lastNight, tonight, { tolerances: { 'memory.heap': 0.05 } });
+   * if (result.verdict === 'regressed') console.error(result.summary);
+   */
+  static compare(baseline, current, options = {}) {
+    const tolerance =
+      typeof options.tolerance === 'number' ? options.tolerance : DEFAULT_COMPARE_TOLERANCE;
+    const tolerances = options.tolerances || {};
+    const minimums = { ...DEFAULT_COMPARE_MINIMUMS, ...(options.minimums || {}) };
+    // Longest prefix first so 'memory.heap.peak' beats 'memory.heap' and 'memory'
+    const prefixes = Object.keys(tolerances).sort((a, b) => b.length - a.length);
+
+    const before = collectReportMetrics(baseline || {});
+    const after = collectReportMetrics(current || {});
+    const metrics = [];
+
+    for (const [metric, { unit, value: baselineValue }] of before) {
+      if (!after.has(metric)) continue;
+      const currentValue = after.get(metric).value;
+      const delta = currentValue - baselineValue;
+      const percent = baselineValue !== 0 ? delta / Math.abs(baselineValue) : null;
+
+      const prefix = prefixes.find(p => metric === p || metric.startsWith(`${p}.`));
+      const allowed = prefix ? tolerances[prefix] : tolerance;
+      const significant =
+        Math.abs(delta) >= (minimums[unit] || 0) &&
+        (percent === null ? delta !== 0 : Math.abs(percent) > allowed);
+
+      let status = 'unchanged';
+      if (significant) {
+        status = delta > 0 ? 'regression' : 'improvement';
+      }
+
+      const percentText =
+        percent === null ? 'new' : `${percent >= 0 ? '+' : ''}${(percent * 100).toFixed(1)}%`;
+      metrics.push({
+        metric,
+        unit,
+        baseline: baselineValue,
+        current: currentValue,
+        delta,
+        percent: percent === null ? null : percent * 100,
+        tolerance: allowed * 100,
+        status,
+        human: `${metric}: ${formatUnit(unit, baselineValue)} -> ${formatUnit(unit, currentValue)} (${formatUnit(unit, delta, true)}, ${percentText})`
+      });
+    }
+
+    const regressions = metrics.filter(m => m.status === 'regression');
+    const improvements = metrics.filter(m => m.status === 'improvement');
+    let verdict = 'unchanged';
+    if (regressions.length > 0) {
+      verdict = 'regressed';
+    } else if (improvements.length > 0) {
+      verdict = 'improved';
+    }
+
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const lines = [
+      `${(current && current.name) || 'current'} vs ${(baseline && baseline.name) || 'baseline'}: ` +
+        `${verdict} (${plural(metrics.length, 'metric')} compared, ` +
+        `${plural(regressions.length, 'regression')}, ${plural(improvements.length, 'improvement')})`
+    ];
+    if (regressions.length > 0) {
+      lines.push('Regressions:', ...regressions.map(m => `  - ${m.human}`));
+    }
+    if (improvements.length > 0) {
+      lines.push('Improvements:', ...improvements.map(m => `  - ${m.human}`));
+    }
+
+    return { verdict, regressions, improvements, metrics, summary: lines.join('\n') };
+  }
+
+  /**
+   * Renders the current gauges in Prometheus text exposition format.
+   * Memory is read at call time; CPU comes from the latest sample and lag from the session.
+   * @param {object} [options={}] - Exporter options
+   * @param {string} [options.prefix='ak_diagnostic_'] - Prefix of every metric name
+   * @returns {string} Prometheus exposition text
+   * @example
+   * const text = diagnostics.prometheus();
+   * // ak_diagnostic_heap_used_bytes{name="MyApp"} 52428800
+   */
+  prometheus(options = {}) {
+    const prefix = options.prefix || DEFAULT_PROMETHEUS_PREFIX;
+    const labels = { name: this.name };
+    const memory = new MemorySnapshot();
+    const lastCpu = this.cpuSamples.length > 1 ? this.cpuSamples.last() : null;
+    const lag = this.eventLoopMonitor.getStats();
+    const gc = this.gcMonitor.getStats();
+    const gauge = (metric, help, value) =>
+      formatPrometheusFamily(`${prefix}${metric}`, 'gauge', help, [{ labels, value }]);
+    const counter = (metric, help, value) =>
+      formatPrometheusFamily(`${prefix}${metric}`, 'counter', help, [{ labels, value }]);
+
+    const lagSamples = Object.entries(LATENCY_PERCENTILES).map(([key, p]) => ({
+      // Percentiles like 99.9 would otherwise print as 0.9990000000000001
+      labels: { ...labels, quantile: Number((p / 100).toFixed(QUANTILE_DIGITS)) },
+      value: lag[key] / 1000
+    }));
+    lagSamples.push({ labels, value: (lag.average * lag.count) / 1000, suffix: '_sum' });
+    lagSamples.push({ labels, value: lag.count, suffix: '_count' });
+
+    return [
+      gauge('up', 'Whether diagnostics collection is running', this.running ? 1 : 0),
+      gauge('heap_used_bytes', 'V8 heap memory in use', memory.heapUsed),
+      gauge('heap_total_bytes', 'V8 heap memory allocated', memory.heapTotal),
+      gauge('rss_bytes', 'Resident set size', memory.rss),
+      gauge('external_bytes', 'Memory of C++ objects bound to JavaScript', memory.external),
+      gauge(
+        'array_buffers_bytes',
+        'Memory of ArrayBuffers and SharedArrayBuffers',
+        memory.arrayBuffers
+      ),
+      gauge(
+        'cpu_percent',
+        'Process CPU usage over the last sampling interval',
+        lastCpu ? lastCpu.percentage : 0
+      ),
+      formatPrometheusFamily(
+        `${prefix}event_loop_lag_seconds`,
+        'summary',
+        'Event loop lag over the session',
+        lagSamples
+      ),
+      gauge(
+        'event_loop_lag_max_seconds',
+        'Largest event loop lag over the session',
+        lag.max / 1000
+      ),
+      counter('event_loop_stalls_total', 'Event loop stalls over the stall threshold', lag.stalls),
+      counter('gc_pause_seconds_total', 'Time spent in garbage collection pauses', gc.total / 1000),
+      counter('gc_collections_total', 'Number of garbage collections', gc.count),
+      counter('alerts_total', 'Alerts triggered', this.alertTriggerCount),
+      counter('samples_total', 'Samples taken', this.aggregates.total.count)
+    ].join('');
+  }
+
+  /**
+   * Starts a minimal HTTP server exposing `prometheus()` on `/metrics`.
+   * The server is unref'd so it never keeps the process alive on its own. Server errors, such as
+   * a port already in use, are emitted as `error` events on this instance instead of throwing.
+   * @param {object} [options={}] - Server options
+   * @param {number} [options.port=9464] - Port to listen on (0 for a random port)
+   * @param {string} [options.host] - Host to bind to (default: all interfaces)
+   * @param {string} [options.path='/metrics'] - Path the metrics are served on
+   * @param {string} [options.prefix='ak_diagnostic_'] - Prefix of every metric name
+   * @returns {import('http').Server} The listening server; call `close()` to stop it
+   * @example
+   * const server = diagnostics.serveMetrics({ port: 9464 });
+   * // curl http://localhost:9464/metrics
+   */
+  serveMetrics(options = {}) {
+    const metricsPath = options.path || '/metrics';
+    const server = http.createServer((req, res) => {
+      const pathname = (req.url || '').split('?')[0];
+      if (req.method !== 'GET' || pathname !== metricsPath) {
+        res.writeHead(HTTP_NOT_FOUND, { 'Content-Type': 'text/plain' });
+        res.end('Not Found\n');
+        return;
+      }
+      const body = safeExecute(() => this.prometheus({ prefix: options.prefix }), '');
+      res.writeHead(HTTP_OK, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(body);
+    });
+
+    // A port in use or not allowed must not crash the host; the error goes to `error` listeners
+    server.on('error', error => this._emit('error', error));
+    server.listen(options.port === undefined ? DEFAULT_METRICS_PORT : options.port, options.host);
+    server.unref();
+    return server;
+  }
 }
 
 // ESM export wrapper
-const exportObj = { Diagnostics };
+const exportObj = { Diagnostics, formatReport, formatComparison };
 
 // Support both CommonJS and ESM
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = exportObj;
   module.exports.Diagnostics = Diagnostics;
+  module.exports.formatReport = formatReport;
+  module.exports.formatComparison = formatComparison;
   module.exports.default = exportObj;
 }
 
 // For ESM environments
 if (typeof exports !== 'undefined') {
   exports.Diagnostics = Diagnostics;
+  exports.formatReport = formatReport;
+  exports.formatComparison = formatComparison;
   exports.default = exportObj;
 }
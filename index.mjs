@@ -5,4 +5,6 @@
 import diagnosticsModule from './index.js';
 
 export const Diagnostics = diagnosticsModule.Diagnostics;
+export const formatReport = diagnosticsModule.formatReport;
+export const formatComparison = diagnosticsModule.formatComparison;
 export default diagnosticsModule;
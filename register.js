@@ -0,0 +1,79 @@
+/**
+ * Zero-code preload for ak-diagnostic
+ * Starts a Diagnostics session configured from AK_DIAGNOSTIC_* environment variables
+ * and writes its report when the process exits, is signalled or crashes:
+ *   node -r ak-diagnostic/register app.js
+ *   node --import ak-diagnostic/register app.mjs
+ *
+ * AK_DIAGNOSTIC_NAME       Session name (default: the script name)
+ * AK_DIAGNOSTIC_INTERVAL   Sampling interval in ms
+ * AK_DIAGNOSTIC_THRESHOLD  Memory threshold in bytes
+ * AK_DIAGNOSTIC_TARGET     Target memory in bytes
+ * AK_DIAGNOSTIC_OUTPUT     Report path, `{pid}` is replaced by the process id
+ *                          (default: ./diagnostics-<name>-<pid>.json)
+ * AK_DIAGNOSTIC_FORMAT     'json' (default), 'text', 'html' or 'markdown'
+ */
+
+const path = require('path');
+const { Diagnostics, formatReport } = require('./index.js');
+
+/** @type {Object<string, function(object): string>} Report serializers by AK_DIAGNOSTIC_FORMAT */
+const FORMATS = {
+  json: report => JSON.stringify(report, null, 2),
+  text: report => formatReport(report, { plain: true }),
+  html: report => formatReport(report, { format: 'html' }),
+  markdown: report => formatReport(report, { format: 'markdown' })
+};
+
+/**
+ * Reads a numeric environment variable
+ * @param {string} key - Variable name
+ * @returns {number|undefined} Parsed value, undefined when unset
+ */
+function readNumber(key) {
+  if (!process.env[key]) return undefined;
+  const value = Number(process.env[key]);
+  if (!Number.isFinite(value)) {
+    console.error(`ak-diagnostic: ignoring ${key}="${process.env[key]}", expected a number`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Builds the session from the environment, flushing its report when the process ends
+ * @returns {void}
+ */
+function register() {
+  // A fixed output path is claimed by the first process so Node processes it spawns,
+  // which inherit NODE_OPTIONS, don't overwrite its report
+  if (process.env.AK_DIAGNOSTIC_CLAIMED) return;
+
+  const script = process.argv[1]
+    ? path.basename(process.argv[1], path.extname(process.argv[1]))
+    : '';
+  const name = process.env.AK_DIAGNOSTIC_NAME || script || 'node';
+  const template = process.env.AK_DIAGNOSTIC_OUTPUT || `diagnostics-${name}-{pid}.json`;
+  const output = path.resolve(template.split('{pid}').join(String(process.pid)));
+  if (!template.includes('{pid}')) {
+    process.env.AK_DIAGNOSTIC_CLAIMED = String(process.pid);
+  }
+
+  let format = (process.env.AK_DIAGNOSTIC_FORMAT || 'json').toLowerCase();
+  if (!FORMATS[format]) {
+    console.error(`ak-diagnostic: unknown AK_DIAGNOSTIC_FORMAT "${format}", writing JSON`);
+    format = 'json';
+  }
+
+  const diagnostics = new Diagnostics({
+    name,
+    interval: readNumber('AK_DIAGNOSTIC_INTERVAL'),
+    threshold: readNumber('AK_DIAGNOSTIC_THRESHOLD'),
+    target: readNumber('AK_DIAGNOSTIC_TARGET'),
+    flushOnExit: { path: output, serialize: FORMATS[format] }
+  });
+
+  diagnostics.start();
+}
+
+register();
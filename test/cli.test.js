@@ -0,0 +1,136 @@
+/**
+ * CLI tests for ak-diagnostic with Vitest
+ */
+
+import { describe, test, expect } from 'vitest';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const CLI = path.join(__dirname, '..', 'bin', 'ak-diagnostic.js');
+const REGISTER = path.join(__dirname, '..', 'register.js');
+
+/**
+ * Runs the CLI and resolves with how it ended
+ * @param {string[]} args - CLI arguments
+ * @returns {Promise<{code: number|null, signal: string|null, stderr: string}>}
+ */
+function runCli(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, ...args], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', chunk => (stderr += chunk));
+    child.on('error', reject);
+    child.on('exit', (code, signal) => resolve({ code, signal, stderr }));
+  });
+}
+
+describe('ak-diagnostic CLI', () => {
+  test('should profile a command and forward its exit code', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ak-diagnostic-cli-'));
+    const output = path.join(dir, 'report.json');
+    const text = path.join(dir, 'report.txt');
+    const html = path.join(dir, 'report.html');
+    const markdown = path.join(dir, 'report.md');
+
+    try {
+      const result = await runCli([
+        'run',
+        '--name',
+        'CliTest',
+        '--interval=50',
+        '--threshold',
+        '1',
+        '--output',
+        output,
+        '--text',
+        text,
+        '--html',
+        html,
+        '--markdown',
+        markdown,
+        '--',
+        process.execPath,
+        '-e',
+        'setTimeout(() => process.exit(3), 200)'
+      ]);
+
+      expect(result.code).toBe(3);
+
+      const report = JSON.parse(await fs.readFile(output, 'utf8'));
+      expect(report.name).toBe('CliTest');
+      expect(report.analysis.samplingInterval).toBe(50);
+      expect(report.analysis.numOfAlertTriggers).toBeGreaterThan(0);
+      expect(report.summary.samples).toBeGreaterThan(1);
+
+      expect(await fs.readFile(text, 'utf8')).toContain('ak-diagnostic report: CliTest');
+      expect(await fs.readFile(markdown, 'utf8')).toContain('## ak-diagnostic report: CliTest');
+      expect(await fs.readFile(html, 'utf8')).toContain(
+        '<title>ak-diagnostic report: CliTest</title>'
+      );
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should write the report when the command dies by a signal', async () => {
+    if (process.platform === 'win32') return;
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ak-diagnostic-cli-'));
+    const output = path.join(dir, 'report.json');
+
+    try {
+      const result = await runCli([
+        'run',
+        '--output',
+        output,
+        '--',
+        process.execPath,
+        '-e',
+        "setInterval(() => {}, 1000); setTimeout(() => process.kill(process.pid, 'SIGTERM'), 200)"
+      ]);
+
+      expect(result.signal).toBe('SIGTERM');
+      const report = JSON.parse(await fs.readFile(output, 'utf8'));
+      expect(report.clock.duration).toBeGreaterThan(0);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should reject unknown options', async () => {
+    const result = await runCli(['run', '--bogus', '--', process.execPath, '-e', '']);
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('Unknown option: --bogus');
+  });
+
+  test('should start a session from environment variables with the register preload', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ak-diagnostic-register-'));
+    const output = path.join(dir, 'report-{pid}.txt');
+
+    try {
+      const code = await new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, ['-r', REGISTER, '-e', 'setTimeout(() => {}, 200)'], {
+          stdio: 'ignore',
+          env: {
+            ...process.env,
+            AK_DIAGNOSTIC_NAME: 'RegisterTest',
+            AK_DIAGNOSTIC_INTERVAL: '50',
+            AK_DIAGNOSTIC_OUTPUT: output,
+            AK_DIAGNOSTIC_FORMAT: 'text'
+          }
+        });
+        child.on('error', reject);
+        child.on('exit', resolve);
+      });
+
+      expect(code).toBe(0);
+      const [file] = await fs.readdir(dir);
+      expect(file).toMatch(/^report-\d+\.txt$/);
+      const text = await fs.readFile(path.join(dir, file), 'utf8');
+      expect(text).toContain('ak-diagnostic report: RegisterTest');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
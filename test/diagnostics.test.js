@@ -2,8 +2,18 @@
  * Vitest test suite for ak-diagnostic
  */
 
-import { describe, test, expect } from 'vitest';
-import { Diagnostics } from '../index.js';
+import { describe, test, expect, vi } from 'vitest';
+import { spawn } from 'child_process';
+import { Worker } from 'worker_threads';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import v8 from 'v8';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { monitorEventLoopDelay } from 'perf_hooks';
+import { Diagnostics, formatReport, formatComparison } from '../index.js';
 
 describe('ak-diagnostic', () => {
   test('should require name option in constructor', () => {
@@ -265,4 +275,1362 @@ describe('ak-diagnostic', () => {
     expect(report.eventLoop).toBeDefined();
     expect(report.eventLoop.lag.average.ms).toBe(0);
   });
+
+  test('should bound retained samples while aggregating every sample', async () => {
+    const diag = new Diagnostics({
+      name: 'RetentionTest',
+      interval: 10,
+      maxSamples: 3
+    });
+
+    diag.start();
+    await new Promise(resolve => setTimeout(resolve, 150));
+    diag.stop();
+
+    expect(diag.memorySamples.length).toBe(3);
+    expect(diag.cpuSamples.length).toBe(3);
+
+    const report = diag.report();
+    expect(report.analysis.numSamples).toBeGreaterThan(3);
+    expect(report.analysis.numRetainedSamples).toBe(3);
+    expect(report.analysis.maxSamples).toBe(3);
+    expect(report.memory.peak.bytes).toBeGreaterThanOrEqual(report.memory.low.bytes);
+    expect(report.memory.timeWeightedAverage.bytes).toBeGreaterThanOrEqual(report.memory.low.bytes);
+    expect(report.memory.timeWeightedAverage.bytes).toBeLessThanOrEqual(report.memory.peak.bytes);
+
+    // Retained samples are the newest ones, oldest first
+    const retained = diag.memorySamples.toArray();
+    expect(retained[0].timestamp).toBeLessThanOrEqual(retained[2].timestamp);
+    expect(diag.memorySamples.last()).toBe(retained[2]);
+  });
+
+  test('should drop samples older than the retention window', async () => {
+    const diag = new Diagnostics({
+      name: 'RetentionWindowTest',
+      interval: 10,
+      maxSamples: 0,
+      retention: 40
+    });
+
+    diag.start();
+    await new Promise(resolve => setTimeout(resolve, 150));
+    diag.stop();
+
+    const retained = diag.memorySamples.toArray();
+    const newest = retained[retained.length - 1].timestamp;
+    expect(retained.every(s => newest - s.timestamp <= 40)).toBe(true);
+    expect(diag.report().analysis.numSamples).toBeGreaterThan(retained.length);
+  });
+
+  test('should report event loop lag percentiles and stalls', async () => {
+    const diag = new Diagnostics({
+      name: 'EventLoopPercentileTest',
+      interval: 50,
+      stallThreshold: 50
+    });
+
+    diag.start();
+    await new Promise(resolve => setTimeout(resolve, 150));
+    // Block the event loop long enough for the probe to see a stall
+    const blockUntil = Date.now() + 250;
+    while (Date.now() < blockUntil) {
+      // busy wait
+    }
+    await new Promise(resolve => setTimeout(resolve, 150));
+    diag.stop();
+
+    const { lag } = diag.report().eventLoop;
+
+    expect(['histogram', 'timer']).toContain(lag.source);
+    expect(lag.p50.ms).toBeLessThanOrEqual(lag.p90.ms);
+    expect(lag.p90.ms).toBeLessThanOrEqual(lag.p99.ms);
+    expect(lag.p99.ms).toBeLessThanOrEqual(lag.p999.ms);
+    expect(lag.p999.ms).toBeLessThanOrEqual(lag.max.ms);
+    expect(lag.max.ms).toBeGreaterThan(100);
+    expect(lag.stddev.ms).toBeGreaterThan(0);
+    expect(lag.stalls.count).toBeGreaterThanOrEqual(1);
+    expect(lag.stalls.threshold.ms).toBe(50);
+  });
+
+  test('should track garbage collection pauses by kind', async () => {
+    const diag = new Diagnostics({
+      name: 'GCTest',
+      interval: 50
+    });
+
+    diag.start();
+    // Churn through short-lived objects to force scavenges
+    for (let round = 0; round < 20; round++) {
+      let garbage = [];
+      for (let i = 0; i < 100_000; i++) {
+        garbage.push({ i });
+      }
+      garbage = null;
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+    diag.stop();
+
+    const { gc } = diag.report();
+
+    expect(gc.count).toBeGreaterThan(0);
+    expect(gc.byKind.scavenge.count).toBeGreaterThan(0);
+    expect(gc.total.ms).toBeGreaterThan(0);
+    expect(gc.max.ms).toBeGreaterThanOrEqual(gc.p50.ms);
+    expect(gc.percentage.percentage).toBeGreaterThan(0);
+    const kindCounts = Object.values(gc.byKind).reduce((sum, kind) => sum + kind.count, 0);
+    expect(kindCounts).toBe(gc.count);
+  });
+
+  test('should handle disabled garbage collection monitoring', async () => {
+    const diag = new Diagnostics({
+      name: 'NoGCTest',
+      interval: 50,
+      monitorGC: false
+    });
+
+    diag.start();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    diag.stop();
+
+    const { gc } = diag.report();
+    expect(gc.count).toBe(0);
+    expect(gc.total.ms).toBe(0);
+    expect(gc.percentage.human).toBe('0.00%');
+  });
+
+  test('should break memory down by heap space when enabled', async () => {
+    const diag = new Diagnostics({
+      name: 'HeapSpaceTest',
+      interval: 20,
+      heapSpaces: true
+    });
+
+    diag.start();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    diag.stop();
+
+    const sample = diag.memorySamples.last();
+    expect(sample.heapSpaces).toBeDefined();
+    expect(sample.heapSpaces.old_space.used).toBeGreaterThan(0);
+
+    const { spaces } = diag.report().memory;
+    expect(spaces).not.toBeNull();
+    expect(spaces.old_space.peak.bytes).toBeGreaterThan(0);
+    expect(spaces.old_space.peak.bytes).toBeGreaterThanOrEqual(spaces.old_space.low.bytes);
+    expect(spaces.new_space.average.human).toContain('B');
+  });
+
+  test('should omit heap spaces by default', () => {
+    const diag = new Diagnostics({ name: 'NoHeapSpaceTest', interval: 50 });
+
+    diag.start();
+    diag.stop();
+
+    expect(diag.memorySamples.last().heapSpaces).toBeNull();
+    expect(diag.report().memory.spaces).toBeNull();
+  });
+
+  test('should write a heap snapshot on threshold breach within its budget', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ak-diagnostic-'));
+    const alerts = [];
+
+    const diag = new Diagnostics({
+      name: 'Snapshot Test',
+      interval: 50,
+      threshold: 1,
+      heapSnapshot: { directory, maxCount: 1 },
+      alert: info => alerts.push(info)
+    });
+
+    try {
+      diag.start();
+      await new Promise(resolve => setTimeout(resolve, 200));
+      diag.stop();
+
+      const withSnapshot = alerts.filter(info => info.heapSnapshot);
+      expect(withSnapshot).toHaveLength(1);
+      const { size } = await fs.stat(withSnapshot[0].heapSnapshot);
+      expect(size).toBeGreaterThan(0);
+      expect(path.basename(withSnapshot[0].heapSnapshot)).toMatch(
+        /^Snapshot_Test-\d+-\d+\.heapsnapshot$/
+      );
+
+      const { heapSnapshots } = diag.report().analysis;
+      expect(heapSnapshots).toHaveLength(1);
+      expect(heapSnapshots[0].path).toBe(withSnapshot[0].heapSnapshot);
+      // The actual size replaces the estimate once the file has been measured
+      expect(heapSnapshots[0].bytes).toBe(size);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should flag a leak when post-GC lows keep rising', () => {
+    const diag = new Diagnostics({ name: 'LeakTest', interval: 1000 });
+    const mb = 1024 * 1024;
+    let now = 1_700_000_000_000;
+    let tick = 0;
+
+    const nowSpy = vi.spyOn(Date, 'now').mockImplementation(() => now);
+    const memorySpy = vi.spyOn(process, 'memoryUsage').mockImplementation(() => {
+      // Sawtooth whose lows grow by 1MB per cycle
+      const cycle = Math.floor(tick / 4);
+      const heapUsed = (50 + cycle + (tick % 4) * 5) * mb;
+      return { rss: heapUsed * 2, heapTotal: heapUsed * 2, heapUsed, external: 0, arrayBuffers: 0 };
+    });
+
+    try {
+      for (; tick < 60; tick++) {
+        diag._takeSample();
+        now += 1000;
+      }
+    } finally {
+      nowSpy.mockRestore();
+      memorySpy.mockRestore();
+    }
+
+    const { trend, leak } = diag.report().analysis;
+
+    expect(trend.heap.basis).toBe('lows');
+    expect(trend.heap.points).toBeGreaterThanOrEqual(10);
+    // One MB every four seconds
+    expect(trend.heap.bytesPerMinute).toBeCloseTo(15 * mb, -3);
+    expect(trend.heap.human).toMatch(/^\+.*MB\/min$/);
+    expect(trend.heap.r2).toBeGreaterThan(0.99);
+    expect(leak.verdict).toBe('likely');
+    expect(leak.confidence).toBeGreaterThan(0.9);
+    expect(leak.timeToHeapLimit.ms).toBeGreaterThan(0);
+  });
+
+  test('should not flag a healthy sawtooth as a leak', () => {
+    const diag = new Diagnostics({ name: 'SawtoothTest', interval: 1000 });
+    const mb = 1024 * 1024;
+    let now = 1_700_000_000_000;
+    let tick = 0;
+
+    const nowSpy = vi.spyOn(Date, 'now').mockImplementation(() => now);
+    const memorySpy = vi.spyOn(process, 'memoryUsage').mockImplementation(() => {
+      const heapUsed = (50 + (tick % 4) * 5) * mb;
+      return { rss: heapUsed * 2, heapTotal: heapUsed * 2, heapUsed, external: 0, arrayBuffers: 0 };
+    });
+
+    try {
+      for (; tick < 60; tick++) {
+        diag._takeSample();
+        now += 1000;
+      }
+    } finally {
+      nowSpy.mockRestore();
+      memorySpy.mockRestore();
+    }
+
+    const { trend, leak } = diag.report().analysis;
+
+    expect(trend.heap.basis).toBe('lows');
+    expect(trend.heap.bytesPerMinute).toBeCloseTo(0);
+    expect(leak.verdict).toBe('none');
+    expect(leak.timeToHeapLimit).toBeNull();
+  });
+
+  test('should alert on threshold transitions instead of every sample', async () => {
+    const alerts = [];
+    const diag = new Diagnostics({
+      name: 'ThresholdTransitionTest',
+      interval: 20,
+      threshold: 1,
+      alert: info => alerts.push(info)
+    });
+
+    diag.start();
+    await new Promise(resolve => setTimeout(resolve, 150));
+    diag.stop();
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].type).toBe('threshold_exceeded');
+    expect(alerts[0].state).toBe('triggered');
+    expect(alerts[0].rule).toBe('threshold');
+    expect(alerts[0].memory.threshold).toBe(1);
+
+    const report = diag.report();
+    expect(report.analysis.numOfAlertTriggers).toBe(1);
+    expect(report.analysis.rules[0].name).toBe('threshold');
+    expect(report.analysis.rules[0].state).toBe('firing');
+    expect(report.analysis.rules[0].firingTime).toBeGreaterThan(0);
+  });
+
+  test('should evaluate rules with for durations, hysteresis and cooldowns', () => {
+    const alerts = [];
+    const values = [];
+    let now = 1_700_000_000_000;
+    const diag = new Diagnostics({
+      name: 'RuleTest',
+      interval: 1000,
+      rules: [
+        {
+          name: 'queue',
+          metric: () => values[values.length - 1],
+          above: 100,
+          clear: 50,
+          for: 2000
+        },
+        {
+          name: 'cooldown',
+          metric: () => values[values.length - 1],
+          above: 100,
+          clear: 50,
+          cooldown: 10000
+        }
+      ],
+      alert: info => alerts.push({ rule: info.rule, state: info.state, value: info.value })
+    });
+
+    const nowSpy = vi.spyOn(Date, 'now').mockImplementation(() => now);
+    try {
+      for (const value of [10, 150, 150, 150, 150, 80, 60, 40, 150, 150, 150, 40]) {
+        values.push(value);
+        diag._takeSample();
+        now += 1000;
+      }
+    } finally {
+      nowSpy.mockRestore();
+    }
+
+    const queue = alerts.filter(alert => alert.rule === 'queue');
+    // Triggers only after holding for 2s, stays firing through 80/60 (above clear), resolves at 40
+    expect(queue).toEqual([
+      { rule: 'queue', state: 'triggered', value: 150 },
+      { rule: 'queue', state: 'resolved', value: 40 },
+      { rule: 'queue', state: 'triggered', value: 150 },
+      { rule: 'queue', state: 'resolved', value: 40 }
+    ]);
+
+    // Fires immediately but the second breach falls inside the 10s cooldown
+    const cooldown = alerts.filter(alert => alert.rule === 'cooldown');
+    expect(cooldown.map(alert => alert.state)).toEqual(['triggered', 'resolved']);
+
+    const summary = diag.report().analysis.rules.find(rule => rule.name === 'queue');
+    expect(summary.triggers).toBe(2);
+    expect(summary.metric).toBe('custom');
+    expect(summary.state).toBe('ok');
+  });
+
+  test('should reject invalid alert rules', () => {
+    expect(() => new Diagnostics({ name: 'BadRule', rules: [{ metric: 'rss' }] })).toThrow(
+      'numeric "above" or "below"'
+    );
+    expect(
+      () => new Diagnostics({ name: 'BadRule', rules: [{ metric: 'nope', above: 1 }] })
+    ).toThrow('Alert rule "metric"');
+    expect(
+      () => new Diagnostics({ name: 'BadRule', rules: [{ metric: () => 1, above: 1 }] })
+    ).toThrow('requires a "name"');
+  });
+
+  test('should emit lifecycle, sample and alert events', () => {
+    const events = [];
+    const diag = new Diagnostics({ name: 'EventsTest', interval: 1000, threshold: 1 });
+
+    for (const event of ['start', 'stop', 'sample', 'alert', 'reset']) {
+      diag.on(event, payload => events.push({ event, payload }));
+    }
+
+    diag.start();
+    diag.stop();
+    diag.reset();
+
+    expect(events.map(e => e.event)).toEqual([
+      'start',
+      'alert',
+      'sample',
+      'sample',
+      'stop',
+      'reset'
+    ]);
+
+    const sample = events.find(e => e.event === 'sample').payload;
+    expect(sample.memory.heapUsed).toBeGreaterThan(0);
+    expect(sample.cpu).toBeDefined();
+    expect(sample.metrics.rss).toBe(sample.memory.rss);
+    expect(typeof sample.eventLoopLag).toBe('number');
+
+    expect(events.find(e => e.event === 'alert').payload.rule).toBe('threshold');
+    expect(events.find(e => e.event === 'stop').payload.duration).toBeGreaterThanOrEqual(0);
+    expect(events.find(e => e.event === 'reset').payload.name).toBe('EventsTest');
+  });
+
+  test('should isolate throwing event listeners', () => {
+    const diag = new Diagnostics({ name: 'ListenerErrorTest', interval: 1000 });
+    let samples = 0;
+    let starts = 0;
+
+    diag.on('sample', () => {
+      throw new Error('listener failure');
+    });
+    diag.on('sample', () => samples++);
+    diag.once('start', () => starts++);
+
+    expect(() => diag.start()).not.toThrow();
+    diag.stop();
+    diag.start();
+    diag.stop();
+
+    expect(samples).toBe(4);
+    expect(starts).toBe(1);
+    expect(diag.listenerCount('start')).toBe(0);
+  });
+
+  test('should render Prometheus exposition text', () => {
+    const diag = new Diagnostics({ name: 'Prom "Test"', interval: 1000, threshold: 1 });
+
+    diag.start();
+    diag.stop();
+    const text = diag.prometheus();
+
+    expect(text).toContain('# TYPE ak_diagnostic_heap_used_bytes gauge');
+    expect(text).toMatch(/^ak_diagnostic_heap_used_bytes\{name="Prom \\"Test\\""\} \d+$/m);
+    expect(text).toMatch(/^ak_diagnostic_rss_bytes\{name=".*"\} \d+$/m);
+    expect(text).toContain('# TYPE ak_diagnostic_event_loop_lag_seconds summary');
+    expect(text).toContain('quantile="0.999"');
+    expect(text).toMatch(/^ak_diagnostic_event_loop_lag_seconds_count\{name=".*"\} \d+$/m);
+    expect(text).toMatch(/^ak_diagnostic_alerts_total\{name=".*"\} 1$/m);
+    expect(text).toMatch(/^ak_diagnostic_up\{name=".*"\} 0$/m);
+
+    expect(diag.prometheus({ prefix: 'custom_' })).toContain('custom_rss_bytes{');
+  });
+
+  test('should serve metrics over HTTP', async () => {
+    const diag = new Diagnostics({ name: 'ServeTest', interval: 1000 });
+    const server = diag.serveMetrics({ port: 0, host: '127.0.0.1' });
+    await new Promise(resolve => server.once('listening', resolve));
+    const { port } = server.address();
+
+    const get = url =>
+      new Promise((resolve, reject) => {
+        http
+          .get(url, res => {
+            let body = '';
+            res.on('data', chunk => (body += chunk));
+            res.on('end', () =>
+              resolve({ status: res.statusCode, type: res.headers['content-type'], body })
+            );
+          })
+          .on('error', reject);
+      });
+
+    try {
+      const metrics = await get(`http://127.0.0.1:${port}/metrics`);
+      expect(metrics.status).toBe(200);
+      expect(metrics.type).toContain('text/plain');
+      expect(metrics.body).toContain('ak_diagnostic_heap_used_bytes{name="ServeTest"}');
+
+      const missing = await get(`http://127.0.0.1:${port}/other`);
+      expect(missing.status).toBe(404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('should break the report down by phase', async () => {
+    const diag = new Diagnostics({ name: 'PhaseTest', interval: 20 });
+
+    diag.start();
+    diag.mark('setup');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const result = await diag.phase('load', async () => {
+      const chunks = [];
+      for (let i = 0; i < 50; i++) chunks.push(new Array(10_000).fill(i));
+      await new Promise(resolve => setTimeout(resolve, 60));
+      return chunks;
+    });
+
+    const sum = diag.phase('transform', () =>
+      result.reduce((total, chunk) => total + chunk.length, 0)
+    );
+    await new Promise(resolve => setTimeout(resolve, 30));
+    diag.stop();
+
+    expect(sum).toBe(500_000);
+
+    const { phases, marks } = diag.report();
+
+    expect(phases.map(phase => phase.name)).toEqual(['setup', 'load', 'transform']);
+    // setup resumes after each phase() call, so it has three segments
+    expect(phases[0].segments).toBe(3);
+    expect(marks.map(mark => mark.name)).toEqual(['setup', 'load', 'setup', 'transform', 'setup']);
+
+    const load = phases[1];
+    expect(load.duration.ms).toBeGreaterThanOrEqual(50);
+    // The delta can be negative when a collection runs during the phase
+    expect(typeof load.memory.delta.bytes).toBe('number');
+    expect(load.memory.delta.human).toMatch(/^[+-]\d/);
+    expect(load.memory.peak.bytes).toBeGreaterThanOrEqual(load.memory.average.bytes);
+    expect(load.cpu.average.human).toContain('%');
+    expect(load.eventLoop.max.ms).toBeGreaterThanOrEqual(0);
+
+    const total = phases.reduce((ms, phase) => ms + phase.duration.ms, 0);
+    expect(total).toBeLessThanOrEqual(diag.report().clock.duration + 1);
+  });
+
+  test('should end a phase when its function throws', async () => {
+    const diag = new Diagnostics({ name: 'PhaseErrorTest', interval: 1000 });
+
+    diag.start();
+    expect(() =>
+      diag.phase('sync', () => {
+        throw new Error('sync failure');
+      })
+    ).toThrow('sync failure');
+    await expect(
+      diag.phase('async', () => Promise.reject(new Error('async failure')))
+    ).rejects.toThrow('async failure');
+    diag.stop();
+
+    expect(diag.currentPhase).toBeNull();
+    expect(diag.report().phases.map(phase => phase.name)).toEqual(['sync', 'async']);
+  });
+
+  test('should compare two reports against tolerances', () => {
+    const makeReport = (name, heapPeak, cpuAverage, loadMs) => ({
+      name,
+      memory: { heap: { peak: { bytes: heapPeak, human: '' } } },
+      cpu: { average: { percentage: cpuAverage, human: '' } },
+      eventLoop: { lag: { stalls: { count: 0, threshold: { ms: 100 } } } },
+      phases: [{ name: 'load', duration: { ms: loadMs, human: '' } }],
+      clock: { duration: 1000 }
+    });
+
+    const baseline = makeReport('before', 100 * 1024 * 1024, 20, 400);
+    const current = makeReport('after', 150 * 1024 * 1024, 21, 200);
+    const result = Diagnostics.compare(baseline, current);
+
+    expect(result.verdict).toBe('regressed');
+    expect(result.regressions.map(m => m.metric)).toEqual(['memory.heap.peak']);
+    expect(result.improvements.map(m => m.metric)).toEqual(['phases.load.duration']);
+    expect(result.regressions[0].delta).toBe(50 * 1024 * 1024);
+    expect(result.regressions[0].percent).toBeCloseTo(50);
+    expect(result.regressions[0].human).toContain('+50.00 MB');
+    expect(result.metrics.find(m => m.metric === 'cpu.average').status).toBe('unchanged');
+    // Configured limits aren't measurements
+    expect(result.metrics.some(m => m.metric.includes('threshold'))).toBe(false);
+    expect(result.summary).toContain('after vs before: regressed');
+
+    const markdown = formatComparison(result, { format: 'markdown' });
+    expect(markdown).toContain('**FAIL** after vs before: regressed');
+    expect(markdown).toContain(
+      '| memory.heap.peak | 100.00 MB | 150.00 MB | +50.00 MB (+50.0%) | regression |'
+    );
+    expect(markdown).toContain(
+      '| phases.load.duration | 400ms | 200ms | -200ms (-50.0%) | improvement |'
+    );
+    expect(markdown).toMatch(/<details>\n<summary>\d+ unchanged metrics<\/summary>/);
+    expect(formatComparison(result)).toBe(`${result.summary}\n`);
+
+    const lenient = Diagnostics.compare(baseline, current, {
+      tolerances: { memory: 0.6, phases: 0.6 }
+    });
+    expect(lenient.verdict).toBe('unchanged');
+  });
+
+  test('should flush the report with the fatal error when the process crashes', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ak-diagnostic-flush-'));
+    const output = path.join(dir, 'report.json');
+    const script = `
+      const { Diagnostics } = require(${JSON.stringify(path.join(__dirname, '..', 'index.js'))});
+      new Diagnostics({ name: 'FlushTest', interval: 20, flushOnExit: ${JSON.stringify(output)} }).start();
+      setTimeout(() => { throw new Error('boom'); }, 100);
+    `;
+
+    try {
+      const code = await new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, ['-e', script], { stdio: 'ignore' });
+        child.on('error', reject);
+        child.on('exit', resolve);
+      });
+
+      // The default crash behavior is preserved
+      expect(code).toBe(1);
+
+      const report = JSON.parse(await fs.readFile(output, 'utf8'));
+      expect(report.name).toBe('FlushTest');
+      expect(report.summary.samples).toBeGreaterThan(1);
+      expect(report.termination.reason).toBe('uncaughtException');
+      expect(report.termination.error.message).toBe('boom');
+      expect(report.termination.error.stack).toContain('Error: boom');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should remove exit hooks on reset', () => {
+    const diag = new Diagnostics({ name: 'HookTest', flushOnExit: true });
+    const before = process.listenerCount('exit');
+
+    diag.start();
+    expect(process.listenerCount('exit')).toBe(before + 1);
+    expect(diag.exitFlusher.path).toMatch(/diagnostics-HookTest-\d+\.json$/);
+
+    diag.reset();
+    expect(process.listenerCount('exit')).toBe(before);
+  });
+
+  test('should log samples as NDJSON and rebuild the report from rotated logs', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ak-diagnostic-log-'));
+    const file = path.join(dir, 'samples.ndjson');
+    const diag = new Diagnostics({
+      name: 'LogTest',
+      interval: 10,
+      threshold: 1,
+      rules: [{ name: 'queue', metric: () => 5, above: 3 }],
+      sampleLog: { path: file, maxBytes: 4000, gzip: true }
+    });
+
+    try {
+      diag.start();
+      diag.mark('work');
+      await new Promise(resolve => setTimeout(resolve, 200));
+      diag.stop();
+      const live = diag.report();
+
+      // Let the last rotation and its gzip finish
+      await new Promise(resolve => setTimeout(resolve, 200));
+      const files = await fs.readdir(dir);
+      expect(files).toContain('samples.ndjson');
+      expect(files.some(name => /^samples\.ndjson\.\d+\.gz$/.test(name))).toBe(true);
+
+      const parse = text =>
+        text
+          .trim()
+          .split('\n')
+          .map(l => JSON.parse(l));
+      const lines = parse(await fs.readFile(file, 'utf8'));
+      expect(lines[0].type).toBe('start');
+      expect(lines[lines.length - 1].type).toBe('stop');
+      // The stop record can rotate on its own, leaving the active file without samples
+      const gunzip = promisify(zlib.gunzip);
+      const allLines = [...lines];
+      for (const name of files.filter(entry => entry.endsWith('.gz'))) {
+        allLines.push(...parse((await gunzip(await fs.readFile(path.join(dir, name)))).toString()));
+      }
+      const sample = allLines.find(line => line.type === 'sample');
+      expect(sample.memory.heapUsed).toBeGreaterThan(0);
+      expect(sample.custom.queue).toBe(5);
+      expect(sample.resources).toEqual(expect.any(Object));
+
+      const replayed = await Diagnostics.fromLog(files.map(name => path.join(dir, name)));
+      expect(replayed.name).toBe('LogTest');
+      expect(replayed.analysis.numSamples).toBe(live.analysis.numSamples);
+      expect(replayed.memory.peak.bytes).toBe(live.memory.peak.bytes);
+      expect(replayed.cpu.average.percentage).toBeCloseTo(live.cpu.average.percentage, 6);
+      expect(replayed.clock.duration).toBe(live.clock.duration);
+      expect(replayed.eventLoop).toEqual(live.eventLoop);
+      expect(replayed.activeResources).toEqual(live.activeResources);
+      expect(replayed.summary.alerts).toBe(live.summary.alerts);
+      expect(replayed.phases.map(p => p.name)).toEqual(['work']);
+      expect(replayed.phases[0].duration.ms).toBe(live.phases[0].duration.ms);
+
+      await expect(Diagnostics.fromLog(path.join(dir, 'missing.ndjson'))).rejects.toThrow();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should render a report as text tables with sparklines', () => {
+    let heapUsed = 10 * 1024 * 1024;
+    let now = 1_000_000;
+    vi.spyOn(Date, 'now').mockImplementation(() => now);
+    vi.spyOn(process, 'memoryUsage').mockImplementation(() => ({
+      rss: heapUsed * 2,
+      heapTotal: heapUsed,
+      heapUsed,
+      external: 0,
+      arrayBuffers: 0
+    }));
+
+    try {
+      const diag = new Diagnostics({
+        name: 'TextTest',
+        interval: 1000,
+        threshold: 15 * 1024 * 1024,
+        target: 12 * 1024 * 1024
+      });
+      diag.start();
+      for (let i = 0; i < 10; i++) {
+        now += 1000;
+        heapUsed += 1024 * 1024;
+        diag._takeSample();
+      }
+      diag.stop();
+      const report = diag.report();
+
+      expect(report.timeline).toHaveLength(12);
+      expect(report.timeline[0].cpu).toBeNull();
+      expect(report.timeline[11].heapUsed).toBe(heapUsed);
+
+      const plain = formatReport(report, { plain: true });
+      expect(plain).not.toContain('\u001b[');
+      expect(plain).toContain('ak-diagnostic report: TextTest');
+      expect(plain).toMatch(/^Heap\s+20\.00 MB\s+15\.42 MB\s+10\.00 MB/m);
+      expect(plain).toMatch(/^Heap {2}_[_.\-~=+*#]+# {2}10\.00 MB - 20\.00 MB$/m);
+      expect(plain).toMatch(/^Threshold\s+15\.00 MB\s+EXCEEDED, peak 20\.00 MB$/m);
+      expect(plain).toMatch(/^Target\s+12\.00 MB\s+over target/m);
+
+      const colored = formatReport(report, { plain: false });
+      expect(colored).toContain('\u001b[31mEXCEEDED');
+      expect(colored).toContain('█');
+
+      expect(() => formatReport(report, { format: 'pdf' })).toThrow('Unknown report format "pdf"');
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  test('should render a report as a self-contained HTML page with charts', () => {
+    let heapUsed = 10 * 1024 * 1024;
+    let now = 1_000_000;
+    vi.spyOn(Date, 'now').mockImplementation(() => now);
+    vi.spyOn(process, 'memoryUsage').mockImplementation(() => ({
+      rss: heapUsed * 2,
+      heapTotal: heapUsed,
+      heapUsed,
+      external: 1024 * 1024,
+      arrayBuffers: 0
+    }));
+
+    try {
+      const diag = new Diagnostics({
+        name: '<script>alert(1)</script>',
+        interval: 1000,
+        threshold: 15 * 1024 * 1024,
+        target: 12 * 1024 * 1024
+      });
+      diag.start();
+      for (let i = 0; i < 10; i++) {
+        now += 1000;
+        heapUsed += 1024 * 1024;
+        diag._takeSample();
+      }
+      diag.stop();
+      const report = diag.report();
+
+      expect(report.analysis.alertHistory).toEqual([
+        {
+          timestamp: 1_006_000,
+          rule: 'threshold',
+          metric: 'total',
+          state: 'triggered',
+          value: 16 * 1024 * 1024
+        }
+      ]);
+      expect(report.timeline[1].external).toBe(1024 * 1024);
+      expect(typeof report.timeline[1].eventLoopLag).toBe('number');
+
+      const html = formatReport(report, { format: 'html' });
+      expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+      expect(html).not.toContain('<script');
+      expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(html).not.toMatch(/(src|href)=|https?:\/\//);
+      expect(html.match(/<svg /g)).toHaveLength(3);
+      expect(html).toContain('threshold 15.00 MB');
+      expect(html).toContain('target 12.00 MB');
+      expect(html.match(/<g class="alert">/g)).toHaveLength(1);
+      expect(html).toContain('<title>threshold: total 16.00 MB</title>');
+      expect(html).toContain('<span class="badge bad">EXCEEDED, peak 20.00 MB</span>');
+      expect(html).toMatch(
+        /<details><summary>System info<\/summary><table>.*<td>nodeVersion<\/td>/s
+      );
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  test('should render a report as GitHub-flavored Markdown', () => {
+    let heapUsed = 10 * 1024 * 1024;
+    let now = 1_000_000;
+    vi.spyOn(Date, 'now').mockImplementation(() => now);
+    vi.spyOn(process, 'memoryUsage').mockImplementation(() => ({
+      rss: heapUsed * 2,
+      heapTotal: heapUsed,
+      heapUsed,
+      external: 0,
+      arrayBuffers: 0
+    }));
+
+    try {
+      const diag = new Diagnostics({
+        name: 'api|<b>',
+        interval: 1000,
+        threshold: 15 * 1024 * 1024,
+        target: 30 * 1024 * 1024
+      });
+      diag.start();
+      diag.mark('warm_up');
+      for (let i = 0; i < 10; i++) {
+        now += 1000;
+        heapUsed += 1024 * 1024;
+        diag._takeSample();
+      }
+      diag.stop();
+
+      const markdown = formatReport(diag.report(), { format: 'markdown' });
+      expect(markdown).toContain('## ak-diagnostic report: api\\|\\<b\\>');
+      expect(markdown).not.toMatch(/\p{Extended_Pictographic}/u);
+      expect(markdown).toContain('| Threshold | 15.00 MB | **FAIL** EXCEEDED, peak 20.00 MB |');
+      expect(markdown).toContain('| Target | 30.00 MB | **PASS** within target |');
+      expect(markdown).toContain('| :--- | ---: | ---: | ---: | ---: |');
+      expect(markdown).toMatch(/^\| Heap \| 20\.00 MB \| 15\.42 MB \| 10\.00 MB \|/m);
+      expect(markdown).toMatch(/^\| warm\\_up \| 10s \|/m);
+      expect(markdown).toMatch(/<details>\n<summary>System info<\/summary>\n\n\| Key \| Value \|/);
+      expect(markdown).toContain('| nodeVersion | ' + process.version + ' |');
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  test('should aggregate the heap, CPU and utilization reported by attached workers', async () => {
+    const index = JSON.stringify(path.join(__dirname, '..', 'index.js'));
+    const source = `
+      const { Diagnostics } = require(${index});
+      const { workerData } = require('worker_threads');
+      Diagnostics.reportFromWorker({ interval: 20 });
+      const retained = [];
+      const end = Date.now() + workerData.ms;
+      const timer = setInterval(() => {
+        retained.push(Buffer.alloc(1024).toString('hex'));
+        if (Date.now() > end) clearInterval(timer);
+      }, 5);
+    `;
+    const diag = new Diagnostics({ name: 'WorkerTest', interval: 20 });
+    diag.start();
+
+    const short = new Worker(source, { eval: true, workerData: { ms: 150 } });
+    const long = new Worker(source, { eval: true, workerData: { ms: 300 } });
+    const longId = long.threadId;
+    diag.attachWorker(short, { name: 'short' }).attachWorker(long);
+    await Promise.all([short, long].map(worker => new Promise(r => worker.once('exit', r))));
+    diag.stop();
+
+    const { workers, timeline } = diag.report();
+    expect(workers.count).toBe(2);
+    expect(workers.peakConcurrent).toBe(2);
+    expect(workers.threads.map(thread => thread.name)).toEqual(['short', `worker-${longId}`]);
+    for (const thread of workers.threads) {
+      expect(thread.state).toBe('exited');
+      expect(thread.exitCode).toBe(0);
+      expect(thread.samples).toBeGreaterThan(1);
+      expect(thread.heapUsed.peak.bytes).toBeGreaterThan(0);
+      expect(thread.eventLoopUtilization.average.percentage).toBeGreaterThan(0);
+      expect(['thread', 'eventLoop']).toContain(thread.cpuSource);
+    }
+    expect(workers.aggregate.samples).toBeGreaterThan(0);
+    expect(workers.aggregate.heapUsed.peak.bytes).toBeGreaterThan(
+      workers.threads[0].heapUsed.low.bytes
+    );
+    expect(workers.events.map(event => event.type)).toEqual(['start', 'start', 'exit', 'exit']);
+    expect(Math.max(...timeline.map(point => point.workers))).toBe(2);
+    expect(timeline[timeline.length - 1].workers).toBe(0);
+
+    diag.reset();
+    expect(diag.report().workers).toBeNull();
+    expect(() => diag.attachWorker(short)).toThrow('requires a running Worker');
+    expect(() => Diagnostics.reportFromWorker()).toThrow('inside a worker thread');
+  });
+
+  test('should combine the samples cluster workers send to the primary', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ak-diagnostic-cluster-'));
+    const script = path.join(dir, 'cluster.js');
+    await fs.writeFile(
+      script,
+      `
+      const cluster = require('cluster');
+      const { Diagnostics } = require(${JSON.stringify(path.join(__dirname, '..', 'index.js'))});
+      const diag = new Diagnostics({ name: 'ClusterTest', interval: 20, cluster: true }).start();
+      if (cluster.isPrimary) {
+        const workers = [cluster.fork({ SIZE: '1' }), cluster.fork({ SIZE: '20' })];
+        let running = workers.length;
+        cluster.on('exit', () => {
+          if (--running === 0) process.stdout.write(JSON.stringify(diag.report().cluster));
+        });
+      } else {
+        const retained = Buffer.alloc(Number(process.env.SIZE) * 1024 * 1024, 1);
+        setTimeout(() => process.exit(retained.length > 2 * 1024 * 1024 ? 3 : 0), 200);
+      }
+    `
+    );
+
+    try {
+      const stdout = await new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [script], { stdio: ['ignore', 'pipe', 'inherit'] });
+        let output = '';
+        child.stdout.on('data', chunk => (output += chunk));
+        child.on('error', reject);
+        child.on('exit', () => resolve(output));
+      });
+
+      const stats = JSON.parse(stdout);
+      expect(stats.workers).toBe(2);
+      expect(stats.alive).toBe(0);
+      expect(stats.byWorker.map(worker => worker.samples).every(count => count > 1)).toBe(true);
+      expect(stats.byWorker.map(worker => worker.exitCode).sort()).toEqual([0, 3]);
+
+      const big = stats.byWorker.find(worker => worker.exitCode === 3);
+      const small = stats.byWorker.find(worker => worker.exitCode === 0);
+      expect(big.rss.peak.bytes - small.rss.peak.bytes).toBeGreaterThan(10 * 1024 * 1024);
+      expect(stats.worst.rss.id).toBe(big.id);
+      expect(stats.worst.rss.value.bytes).toBe(big.rss.peak.bytes);
+      expect(stats.totals.samples).toBeGreaterThan(0);
+      expect(stats.totals.rss.peak.bytes).toBeGreaterThan(big.rss.low.bytes);
+      expect(stats.events.filter(event => event.type === 'exit')).toHaveLength(2);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should leave cluster mode idle outside a cluster', () => {
+    const diag = new Diagnostics({ name: 'NoClusterTest', cluster: true });
+    diag.start();
+    diag.stop();
+    expect(diag.report().cluster).toBeNull();
+    expect(new Diagnostics({ name: 'Plain' }).report().cluster).toBeNull();
+  });
+
+  test('should count active resources by type and flag the ones that only grow', () => {
+    const diag = new Diagnostics({ name: 'ResourcesTest', interval: 1000 });
+    const samples = [];
+    diag.on('sample', sample => samples.push(sample.resources));
+    let tick = 0;
+
+    // Defined rather than spied on, since runtimes before Node 17 don't have the method
+    const getActiveResourcesInfo = process.getActiveResourcesInfo;
+    process.getActiveResourcesInfo = () => [
+      // One leaked socket per sample, a timer that comes and goes, a file request from the 3rd sample
+      ...Array(tick + 1).fill('TCPSocketWrap'),
+      ...(tick % 2 === 0 ? ['Timeout', 'Timeout'] : ['Timeout']),
+      ...(tick >= 2 ? ['FSReqCallback'] : [])
+    ];
+
+    try {
+      for (; tick < 5; tick++) {
+        diag._takeSample();
+      }
+    } finally {
+      if (getActiveResourcesInfo) {
+        process.getActiveResourcesInfo = getActiveResourcesInfo;
+      } else {
+        delete process.getActiveResourcesInfo;
+      }
+    }
+
+    expect(samples[0]).toEqual({ TCPSocketWrap: 1, Timeout: 2 });
+    expect(samples[4]).toEqual({ TCPSocketWrap: 5, Timeout: 2, FSReqCallback: 1 });
+
+    const { activeResources } = diag.report();
+    expect(activeResources.samples).toBe(5);
+    expect(activeResources.byType).toEqual({
+      // Seen from the 3rd sample on without growing, so not a trend
+      FSReqCallback: { peak: 1, final: 1, growing: false },
+      TCPSocketWrap: { peak: 5, final: 5, growing: true },
+      Timeout: { peak: 2, final: 2, growing: false }
+    });
+    expect(activeResources.growing).toEqual(['TCPSocketWrap']);
+    expect(formatReport(diag.report(), { plain: true })).toMatch(
+      /Resources\s+TCPSocketWrap 5\s+only ever grew/
+    );
+
+    diag.reset();
+    expect(diag.report().activeResources).toBeNull();
+  });
+
+  test('should report async resources that never settle by creation site', async () => {
+    const diag = new Diagnostics({
+      name: 'AsyncTest',
+      interval: 1000,
+      asyncHooks: { maxAge: 50 }
+    });
+    expect(new Diagnostics({ name: 'NoAsync' }).report().async).toBeNull();
+
+    const neverSettles = () => new Promise(() => {});
+    let pending = [];
+    diag.start();
+    pending = [neverSettles(), neverSettles(), neverSettles()];
+    await Promise.resolve('settled');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    diag.stop();
+
+    const created = diag.report().async.byType.PROMISE.created;
+    // The hook is removed by stop()
+    neverSettles();
+    const { async } = diag.report();
+
+    expect(async.maxAge.ms).toBe(50);
+    expect(async.byType.PROMISE.created).toBe(created);
+    expect(async.byType.PROMISE.live).toBeGreaterThanOrEqual(pending.length);
+    expect(async.suspects[0]).toMatchObject({ type: 'PROMISE', count: pending.length });
+    expect(async.suspects[0].site).toMatch(/diagnostics\.test\.js:\d+:\d+/);
+    expect(async.suspects[0].stack[0]).toBe(async.suspects[0].site);
+    expect(async.suspects[0].age.ms).toBeGreaterThanOrEqual(50);
+    expect(formatReport(diag.report(), { plain: true })).toMatch(
+      /Async\s+\d+ older than 50ms\s+suspected leaks, top: 3 PROMISE at/
+    );
+
+    diag.reset();
+    expect(diag.report().async.byType).toEqual({});
+  });
+
+  test('should time sync and async operations per label', async () => {
+    const diag = new Diagnostics({ name: 'OperationsTest' });
+    const mb = 1024 * 1024;
+    let heapUsed = 10 * mb;
+    const heapStatistics = v8.getHeapStatistics();
+    const heapSpy = vi.spyOn(v8, 'getHeapStatistics').mockImplementation(() => ({
+      ...heapStatistics,
+      used_heap_size: heapUsed
+    }));
+
+    try {
+      expect(
+        diag.time('parse', () => {
+          heapUsed += mb;
+          return 42;
+        })
+      ).toBe(42);
+      expect(() =>
+        diag.time('parse', () => {
+          throw new Error('bad input');
+        })
+      ).toThrow('bad input');
+
+      const fetchUser = diag.wrap('fetch', async function (id) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        if (id < 0) throw new Error('not found');
+        return { id, self: this.name };
+      });
+      expect(await fetchUser.call({ name: 'repo' }, 7)).toEqual({ id: 7, self: 'repo' });
+      await expect(fetchUser(-1)).rejects.toThrow('not found');
+    } finally {
+      heapSpy.mockRestore();
+    }
+
+    const [parse, fetch] = diag.report().operations;
+    expect(parse.name).toBe('parse');
+    expect(parse.count).toBe(2);
+    expect(parse.errors).toBe(1);
+    expect(parse.heapDelta.max).toEqual({ bytes: mb, human: '+1.00 MB' });
+    expect(parse.heapDelta.average.bytes).toBe(mb / 2);
+
+    expect(fetch.name).toBe('fetch');
+    expect(fetch.count).toBe(2);
+    expect(fetch.errors).toBe(1);
+    expect(fetch.duration.min.ms).toBeGreaterThanOrEqual(15);
+    expect(fetch.duration.min.ms).toBeLessThanOrEqual(fetch.duration.p50.ms);
+    expect(fetch.duration.p95.ms).toBeLessThanOrEqual(fetch.duration.max.ms);
+    expect(fetch.duration.mean.human).toMatch(/^\d+\.\d{2}ms$/);
+
+    expect(formatReport(diag.report(), { plain: true })).toMatch(/fetch\s+2\s+1\s+\d/);
+
+    diag.reset();
+    expect(diag.report().operations).toEqual([]);
+  });
+
+  test('should judge budgets and set the exit code when one fails', () => {
+    const mb = 1024 * 1024;
+    let now = 1_000_000;
+    vi.spyOn(Date, 'now').mockImplementation(() => now);
+    vi.spyOn(process, 'memoryUsage').mockImplementation(() => ({
+      rss: 40 * mb,
+      heapTotal: 30 * mb,
+      heapUsed: 20 * mb,
+      external: 0,
+      arrayBuffers: 0
+    }));
+    const exitCode = process.exitCode;
+
+    try {
+      const diag = new Diagnostics({
+        name: 'BudgetTest',
+        interval: 1000,
+        budgets: { peakHeap: 16 * mb, peakRss: 64 * mb, duration: 60000 }
+      });
+      diag.start();
+      now += 10000;
+      diag._takeSample();
+
+      const { budget } = diag.report();
+      expect(budget.passed).toBe(false);
+      expect(budget.failed).toBe(1);
+      expect(budget.budgets).toEqual([
+        {
+          name: 'peakHeap',
+          passed: false,
+          limit: { bytes: 16 * mb, human: '16.00 MB' },
+          actual: { bytes: 20 * mb, human: '20.00 MB' },
+          margin: { bytes: -4 * mb, human: '-4.00 MB' }
+        },
+        {
+          name: 'peakRss',
+          passed: true,
+          limit: { bytes: 64 * mb, human: '64.00 MB' },
+          actual: { bytes: 40 * mb, human: '40.00 MB' },
+          margin: { bytes: 24 * mb, human: '+24.00 MB' }
+        },
+        {
+          name: 'duration',
+          passed: true,
+          limit: { ms: 60000, human: '1m 0s' },
+          actual: { ms: 10000, human: '10s' },
+          margin: { ms: 50000, human: '+50s' }
+        }
+      ]);
+      expect(formatReport(diag.report(), { format: 'markdown' })).toContain(
+        '| Budget peakHeap | max 16.00 MB | **FAIL** EXCEEDED, actual 20.00 MB (margin -4.00 MB) |'
+      );
+
+      process.exitCode = undefined;
+      expect(diag.enforceBudgets({ exitCode: 3 })).toEqual(budget);
+      expect(process.exitCode).toBe(3);
+
+      const within = new Diagnostics({ name: 'WithinBudget', budgets: { peakHeap: 32 * mb } });
+      within.start();
+      process.exitCode = undefined;
+      expect(within.enforceBudgets().passed).toBe(true);
+      expect(process.exitCode).toBeUndefined();
+      expect(new Diagnostics({ name: 'NoBudgets' }).report().budget).toBeNull();
+    } finally {
+      process.exitCode = exitCode;
+      vi.restoreAllMocks();
+    }
+
+    expect(() => new Diagnostics({ name: 'Bad', budgets: { heap: 1 } })).toThrow(
+      'Unknown budget "heap"'
+    );
+    expect(() => new Diagnostics({ name: 'Bad', budgets: { peakHeap: '1GB' } })).toThrow(
+      'Budget "peakHeap" must be a finite number'
+    );
+  });
+
+  test('should benchmark ops/sec and bytes allocated per call', async () => {
+    let calls = 0;
+    const result = await Diagnostics.bench(
+      'fill',
+      () => {
+        calls++;
+        return new Array(1000).fill(calls);
+      },
+      { iterations: 50, warmup: 5, time: 50 }
+    );
+
+    expect(result.name).toBe('fill');
+    expect(result.rounds).toBeGreaterThanOrEqual(5);
+    expect(result.iterations).toBe(result.rounds * 50);
+    // Warmup and the allocation rounds run on top of the timed ones
+    expect(calls).toBe(5 + result.iterations + 5 * 50);
+
+    const { opsPerSecond, time, memory, cpu } = result;
+    expect(opsPerSecond.ops).toBeGreaterThan(0);
+    expect(opsPerSecond.low.ops).toBeLessThanOrEqual(opsPerSecond.ops);
+    expect(opsPerSecond.high.ops).toBeGreaterThanOrEqual(opsPerSecond.ops);
+    expect(opsPerSecond.human).toMatch(/^[\d,]+ ops\/sec ±\d+\.\d{2}%$/);
+    expect(opsPerSecond.low.human).toMatch(/^[\d,]+ ops\/sec$/);
+    expect(opsPerSecond.margin.percentage).toBeGreaterThanOrEqual(0);
+    expect(time.mean.ms).toBeCloseTo(1000 / opsPerSecond.ops, 6);
+    expect(time.min.ms).toBeLessThanOrEqual(time.max.ms);
+    expect(time.mean.human).toMatch(/^\d+\.\d{2}(ns|µs|ms)$/);
+    // 1000 small integers take 8 KB
+    expect(memory.perOperation.bytes).toBeGreaterThan(4 * 1024);
+    expect(memory.perOperation.bytes).toBeLessThan(16 * 1024);
+    expect(memory.rounds).toBeGreaterThan(0);
+    expect(cpu.human).toMatch(/%$/);
+    expect(result.report.name).toBe('fill');
+
+    const awaited = await Diagnostics.bench('async', async () => calls++, {
+      iterations: 10,
+      time: 0
+    });
+    expect(awaited.rounds).toBe(5);
+
+    await expect(Diagnostics.bench('none', null)).rejects.toThrow('requires a function');
+    await expect(
+      Diagnostics.bench('throws', () => {
+        throw new Error('broken');
+      })
+    ).rejects.toThrow('broken');
+  });
+
+  test('should flush every session and die by the signal when several sessions flush on exit', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ak-diagnostic-signal-'));
+    const outputs = [path.join(dir, 'first.json'), path.join(dir, 'second.json')];
+    const script = `
+      const { Diagnostics } = require(${JSON.stringify(path.join(__dirname, '..', 'index.js'))});
+      for (const [i, output] of ${JSON.stringify(outputs)}.entries()) {
+        new Diagnostics({ name: 'Session' + i, interval: 20, flushOnExit: output }).start();
+      }
+      setInterval(() => {}, 1000);
+      console.log('ready');
+    `;
+
+    try {
+      const { code, signal } = await new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, ['-e', script], {
+          stdio: ['ignore', 'pipe', 'ignore']
+        });
+        // A swallowed signal would leave the child running forever
+        const guard = setTimeout(() => child.kill('SIGKILL'), 5000);
+        child.stdout.once('data', () => child.kill('SIGTERM'));
+        child.on('error', reject);
+        child.on('exit', (exitCode, exitSignal) => {
+          clearTimeout(guard);
+          resolve({ code: exitCode, signal: exitSignal });
+        });
+      });
+
+      expect(code).toBeNull();
+      expect(signal).toBe('SIGTERM');
+      for (const [i, output] of outputs.entries()) {
+        const report = JSON.parse(await fs.readFile(output, 'utf8'));
+        expect(report.name).toBe(`Session${i}`);
+        expect(report.termination).toMatchObject({ reason: 'signal', signal: 'SIGTERM' });
+      }
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should emit an error instead of crashing when the metrics port is in use', async () => {
+    const blocker = http.createServer();
+    await new Promise(resolve => blocker.listen(0, '127.0.0.1', resolve));
+    const { port } = blocker.address();
+
+    const diag = new Diagnostics({ name: 'ServeBusyTest', interval: 1000 });
+    const errored = new Promise(resolve => diag.once('error', resolve));
+    const server = diag.serveMetrics({ port, host: '127.0.0.1' });
+
+    try {
+      const error = await errored;
+      expect(error.code).toBe('EADDRINUSE');
+      expect(server.listening).toBe(false);
+    } finally {
+      await new Promise(resolve => blocker.close(resolve));
+    }
+  });
+
+  test.skipIf(!monitorEventLoopDelay)(
+    'should take stalls and per-sample lag from the histogram',
+    async () => {
+      const diag = new Diagnostics({
+        name: 'EventLoopHistogramTest',
+        interval: 1000,
+        stallThreshold: 50
+      });
+      const samples = [];
+      diag.on('sample', sample => samples.push(sample));
+
+      diag.start();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      for (let i = 0; i < 2; i++) {
+        const blockUntil = Date.now() + 120;
+        while (Date.now() < blockUntil) {
+          // busy wait
+        }
+        await new Promise(resolve => setTimeout(resolve, 30));
+      }
+      diag.stop();
+
+      // The timer probe only runs at the light default interval next to the histogram
+      expect(diag.eventLoopMonitor.fallback.count).toBeLessThan(10);
+      const { lag } = diag.report().eventLoop;
+      expect(lag.source).toBe('histogram');
+      expect(lag.stalls.count).toBe(2);
+      expect(samples[samples.length - 1].eventLoopLag).toBeGreaterThan(100);
+    }
+  );
+
+  test('should keep the exit as the reason when the app recovered from an earlier crash', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ak-diagnostic-flush-'));
+    const output = path.join(dir, 'report.json');
+    const script = `
+      const { Diagnostics } = require(${JSON.stringify(path.join(__dirname, '..', 'index.js'))});
+      new Diagnostics({ name: 'RecoverTest', interval: 20, flushOnExit: ${JSON.stringify(output)} }).start();
+      process.on('uncaughtException', () => {});
+      setTimeout(() => { throw new Error('recovered'); }, 50);
+      setTimeout(() => {}, 150);
+    `;
+
+    try {
+      const code = await new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, ['-e', script], { stdio: 'ignore' });
+        child.on('error', reject);
+        child.on('exit', resolve);
+      });
+      expect(code).toBe(0);
+
+      const { termination } = JSON.parse(await fs.readFile(output, 'utf8'));
+      expect(termination.reason).toBe('exit');
+      expect(termination.exitCode).toBe(0);
+      expect(termination.error).toBeUndefined();
+      expect(termination.handled).toHaveLength(1);
+      expect(termination.handled[0].reason).toBe('uncaughtException');
+      expect(termination.handled[0].error.message).toBe('recovered');
+      expect(termination.handled[0].timestamp).toBeLessThanOrEqual(termination.timestamp);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should write the first heap snapshot once a missing directory has been created', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'ak-diagnostic-'));
+    const directory = path.join(root, 'nested', 'snapshots');
+
+    const diag = new Diagnostics({
+      name: 'Snapshot Directory Test',
+      interval: 1000,
+      threshold: 1,
+      heapSnapshot: { directory }
+    });
+
+    try {
+      diag.start();
+      await vi.waitFor(() => expect(diag.report().analysis.heapSnapshots).toHaveLength(1), {
+        timeout: 5000
+      });
+      diag.stop();
+
+      const [snapshot] = diag.report().analysis.heapSnapshots;
+      expect(path.dirname(snapshot.path)).toBe(directory);
+      const { size } = await fs.stat(snapshot.path);
+      await vi.waitFor(() => expect(diag.report().analysis.heapSnapshots[0].bytes).toBe(size));
+    } finally {
+      diag.stop();
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+
+  test('should forget settled promises and follow at most maxTracked pending resources', async () => {
+    const diag = new Diagnostics({
+      name: 'AsyncBoundTest',
+      interval: 1000,
+      asyncHooks: { maxTracked: 50 }
+    });
+
+    diag.start();
+    for (let i = 0; i < 200; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    // report() would stop the session
+    const settled = diag.asyncTracker.getStats();
+    expect(settled.byType.PROMISE.destroyed).toBeGreaterThanOrEqual(200);
+    expect(settled.untracked).toBe(0);
+    expect(diag.asyncTracker.live.size).toBeLessThan(50);
+
+    const pending = Array.from({ length: 100 }, () => new Promise(() => {}));
+    diag.stop();
+
+    const { async } = diag.report();
+    expect(diag.asyncTracker.live.size).toBe(50);
+    expect(async.byType.PROMISE.live).toBeLessThanOrEqual(50);
+    expect(async.untracked).toBeGreaterThanOrEqual(pending.length - 50);
+
+    diag.reset();
+    expect(diag.report().async.untracked).toBe(0);
+  });
 });
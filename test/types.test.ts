@@ -0,0 +1,29 @@
+/**
+ * Typed API tests for ak-diagnostic with Vitest
+ * `npm run typecheck` compiles this file against index.d.ts, so a listener the typings reject fails it
+ */
+
+import { describe, test, expect } from 'vitest';
+import http from 'http';
+import type { AddressInfo } from 'net';
+import { Diagnostics } from '../index.js';
+
+describe('ak-diagnostic typings', () => {
+  test('should deliver metrics server errors to a typed error listener', async () => {
+    const blocker = http.createServer();
+    await new Promise<void>(resolve => blocker.listen(0, '127.0.0.1', resolve));
+    const { port } = blocker.address() as AddressInfo;
+
+    const diag = new Diagnostics({ name: 'TypedErrorTest', interval: 1000 });
+    const errored = new Promise<Error>(resolve => diag.on('error', resolve));
+    const server = diag.serveMetrics({ port, host: '127.0.0.1' });
+
+    try {
+      const error: NodeJS.ErrnoException = await errored;
+      expect(error.code).toBe('EADDRINUSE');
+      expect(server.listening).toBe(false);
+    } finally {
+      await new Promise(resolve => blocker.close(resolve));
+    }
+  });
+});